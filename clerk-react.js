@@ -0,0 +1,130 @@
+/**
+ * Clerk React Bindings
+ * Provider, hooks and control components on top of ClerkSDK (React 18+)
+ * Version: 1.0.0
+ */
+
+const React = require('react');
+const ClerkSDK = require('./clerk-sdk.js');
+
+const { createContext, createElement, Fragment, useCallback, useContext, useEffect, useState, useSyncExternalStore } = React;
+
+const ClerkContext = createContext(null);
+
+// =============================================================================
+// PROVIDER
+// =============================================================================
+
+/**
+ * Makes a ClerkSDK instance available to the hooks below and loads it once.
+ *
+ * @param {Object} props
+ * @param {ClerkSDK} [props.clerk] - An existing instance; takes precedence over options
+ * @param {Object} [props.options] - ClerkSDK constructor options used to create an instance
+ * @param {*} props.children
+ */
+function ClerkProvider({ clerk, options, children }) {
+  const [instance] = useState(() => clerk || new ClerkSDK(options));
+
+  useEffect(() => {
+    if (!instance.isLoaded) {
+      // load() logs the failure and emits 'error'; listen there to surface it
+      instance.load().catch(() => {});
+    }
+  }, [instance]);
+
+  return createElement(ClerkContext.Provider, { value: instance }, children);
+}
+
+// =============================================================================
+// HOOKS
+// =============================================================================
+
+function useClerk() {
+  const clerk = useContext(ClerkContext);
+  if (!clerk) {
+    throw new Error('Clerk hooks must be used inside <ClerkProvider>');
+  }
+  return clerk;
+}
+
+// Re-renders the component whenever the SDK publishes a new state snapshot.
+// Server renders use the instance's not-yet-loaded snapshot (SSR, Next.js, Remix).
+function useClerkSnapshot() {
+  const clerk = useClerk();
+  return useSyncExternalStore(clerk.subscribe, clerk.getSnapshot, clerk.getSnapshot);
+}
+
+function useAuth() {
+  const clerk = useClerk();
+  const { isLoaded, isSignedIn, userId, sessionId, orgId, orgRole } = useClerkSnapshot();
+
+  const getToken = useCallback(options => clerk.getToken(options), [clerk]);
+  const signOut = useCallback(options => clerk.signOut(options), [clerk]);
+
+  return { isLoaded, isSignedIn, userId, sessionId, orgId, orgRole, getToken, signOut };
+}
+
+function useUser() {
+  const { isLoaded, isSignedIn, user } = useClerkSnapshot();
+  return { isLoaded, isSignedIn, user };
+}
+
+function useOrganization() {
+  const clerk = useClerk();
+  const { isLoaded, organization, orgRole } = useClerkSnapshot();
+
+  const setActive = useCallback(organizationId => clerk.setActiveOrganization(organizationId), [clerk]);
+
+  return { isLoaded, organization, membership: organization ? { role: orgRole } : null, setActive };
+}
+
+// Each component gets its own SignInFlow, kept for the lifetime of the component
+function useSignIn() {
+  const clerk = useClerk();
+  const { isLoaded } = useClerkSnapshot();
+  const [signIn] = useState(() => clerk.signIn());
+  const setActive = useCallback(params => clerk.setActive(params), [clerk]);
+
+  return { isLoaded, signIn, setActive };
+}
+
+function useSignUp() {
+  const clerk = useClerk();
+  const { isLoaded } = useClerkSnapshot();
+  const [signUp] = useState(() => clerk.signUp());
+  const setActive = useCallback(params => clerk.setActive(params), [clerk]);
+
+  return { isLoaded, signUp, setActive };
+}
+
+// =============================================================================
+// CONTROL COMPONENTS
+// =============================================================================
+
+// Both render nothing until the SDK has loaded
+function SignedIn({ children }) {
+  const { isLoaded, isSignedIn } = useClerkSnapshot();
+  return isLoaded && isSignedIn ? createElement(Fragment, null, children) : null;
+}
+
+function SignedOut({ children }) {
+  const { isLoaded, isSignedIn } = useClerkSnapshot();
+  return isLoaded && !isSignedIn ? createElement(Fragment, null, children) : null;
+}
+
+// =============================================================================
+// EXPORT FOR USE
+// =============================================================================
+
+module.exports = {
+  ClerkProvider,
+  useClerk,
+  useAuth,
+  useUser,
+  useOrganization,
+  useSignIn,
+  useSignUp,
+  SignedIn,
+  SignedOut
+};
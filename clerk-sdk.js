@@ -4,54 +4,149 @@
  * Version: 1.0.0
  */
 
+// Password errors rewritten with a clear message; reason lets forms react without string matching
+const PASSWORD_ERRORS = {
+  form_password_pwned: {
+    reason: 'breached',
+    message: 'This password has appeared in a data breach. Please choose a different password.'
+  },
+  form_password_length_too_short: {
+    reason: 'weak',
+    message: 'This password is too short.'
+  },
+  form_password_not_strong_enough: {
+    reason: 'weak',
+    message: 'This password is not strong enough.'
+  },
+  form_password_validation_failed: {
+    reason: 'weak',
+    message: 'This password does not meet the password requirements.'
+  },
+  form_password_size_in_bytes_exceeded: {
+    reason: 'weak',
+    message: 'This password is too long.'
+  },
+  form_password_incorrect: {
+    reason: 'incorrect',
+    message: 'The current password is incorrect.'
+  }
+};
+
+// Events mirrored to other tabs of the same origin
+const TAB_SYNC_EVENTS = ['sessionCreated', 'sessionCleared', 'organizationChanged', 'userUpdated'];
+
 class ClerkSDK {
   constructor(options = {}) {
     this.domain = options.domain || 'bright-light-9.clerk.accounts.dev';
     this.apiVersion = options.apiVersion || '2025-04-10';
     this.jsVersion = options.jsVersion || '5.88.0';
     
+    // Logging: quiet in production, verbose on development instances.
+    // options.logger = { level, sinks } where each sink receives a redacted log entry.
+    const loggerOptions = options.logger || {};
+    this.logger = new ClerkLogger({
+      level: loggerOptions.level || (this.isDevInstance() ? 'debug' : 'warn'),
+      sinks: loggerOptions.sinks
+    });
+    
+    // Transport: options.fetch replaces the global fetch (Node, tests, custom agents)
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.middleware = [...(options.middleware || [])];
+    
+    // Retry policy for idempotent requests (pass retry: false to disable)
+    this.retryPolicy = {
+      retries: 3,
+      baseDelay: 500,
+      maxDelay: 10000,
+      maxRetryAfter: 60000,
+      ...(options.retry === false ? { retries: 0 } : options.retry)
+    };
+    
     // Current state
     this.user = null;
     this.session = null;
+    this.sessions = [];
     this.organization = null;
     this.environment = null;
+    this.userSettings = null;
     this.client = null;
     
     // Internal state
     this.loaded = false;
+    this.loadPromise = null;
     this.listeners = [];
     this.tokenCache = new Map();
+    this.pendingTokenRequests = new Map();
     this.refreshTimer = null;
     
+    // Reactive store: user, session, sessions, organization, client and loaded change only
+    // through _setState, which publishes a new frozen snapshot to subscribers
+    this.stateListeners = new Set();
+    this.snapshot = this._createSnapshot();
+    this.subscribe = this.subscribe.bind(this);
+    this.getSnapshot = this.getSnapshot.bind(this);
+    
+    // Background refresh of the default session token shortly before it expires
+    this.autoRefreshToken = options.autoRefreshToken !== false;
+    this.tokenRefreshLeeway = options.tokenRefreshLeeway ?? 10 * 1000;
+    this.tokenRefreshTimer = null;
+    this.tokenRefreshFailures = 0;
+    this.visibilityHandler = null;
+    
+    // Origins authenticatedFetch may send session tokens to (defaults to this page's origin)
+    this.authorizedOrigins = options.authorizedOrigins ||
+      (typeof window !== 'undefined' && window.location ? [window.location.origin] : []);
+    
+    // Cross-tab synchronization
+    this.syncTabs = options.syncTabs !== false;
+    this.tabId = Math.random().toString(36).slice(2);
+    this.broadcastChannel = null;
+    this.storageEventHandler = null;
+    this.applyingTabMessage = false;
+    this.endedSessionIds = new Set();
+    
     // Development browser JWT for dev instances
     this.devBrowserJWT = null;
     
-    // Initialize storage for offline support
+    // Storage keys are namespaced per domain so several instances can share an origin
+    this.storageNamespace = options.storageNamespace || this.domain;
+    this.sessionCacheKey = options.sessionCacheKey || this.storageKey('clerk_session_cache');
+    this.redirectCacheKey = this.storageKey('clerk_redirect_pending');
+    this.sessionCacheWrites = Promise.resolve();
+    
+    // Initialize storage for offline support. Adapters may be sync or async;
+    // every call through this.storage returns a promise and never throws.
+    const storageAdapter = resolveStorageAdapter(options.storage);
     this.storage = {
-      get: (key) => {
+      get: async (key) => {
         try {
-          return JSON.parse(localStorage.getItem(key));
+          const value = await storageAdapter.get(key);
+          return value ?? null;
         } catch {
           return null;
         }
       },
-      set: (key, value) => {
+      set: async (key, value) => {
         try {
-          localStorage.setItem(key, JSON.stringify(value));
+          await storageAdapter.set(key, value);
         } catch (error) {
-          console.warn('Failed to store data:', error);
+          this.logger.warn('Failed to store data:', error);
         }
       },
-      remove: (key) => {
+      remove: async (key) => {
         try {
-          localStorage.removeItem(key);
+          await storageAdapter.remove(key);
         } catch (error) {
-          console.warn('Failed to remove data:', error);
+          this.logger.warn('Failed to remove data:', error);
         }
       }
     };
   }
 
+  storageKey(name) {
+    return `${name}:${this.storageNamespace}`;
+  }
+
   // =============================================================================
   // CORE API CLIENT
   // =============================================================================
@@ -86,6 +181,9 @@ class ClerkSDK {
 
   async apiCall(path, options = {}) {
     const originalMethod = options.method || 'GET';
+    const maxRetries = this.isRetryableRequest(path, originalMethod, options.retry)
+      ? this.retryPolicy.retries
+      : 0;
     
     // CORS workaround: Convert all methods to GET or POST to avoid preflight requests
     const actualMethod = originalMethod === 'GET' ? 'GET' : 'POST';
@@ -113,55 +211,177 @@ class ClerkSDK {
       }
     }
     
-    // Remove params and method from fetchOptions to avoid conflicts
+    // Remove params, retry and method from fetchOptions to avoid conflicts
     delete fetchOptions.params;
+    delete fetchOptions.retry;
     delete fetchOptions.method;
     
     // Set the actual method
     fetchOptions.method = actualMethod;
     
-    console.log(`🔄 ${originalMethod} ${path} (using ${actualMethod})`);
-    
-    try {
-      const response = await fetch(url, fetchOptions);
-      const data = await response.json();
+    for (let attempt = 0; ; attempt++) {
+      this.logger.debug(`${originalMethod} ${path} (using ${actualMethod})`);
       
-      console.log(`📥 Response:`, { status: response.status, data });
+      const context = { url, path, method: originalMethod, options: { ...fetchOptions }, attempt };
       
-      // Check for new dev browser JWT in response headers
-      if (this.isDevInstance()) {
-        const newDevBrowserJWT = response.headers.get('clerk-dev-browser-jwt');
-        if (newDevBrowserJWT && newDevBrowserJWT !== this.devBrowserJWT) {
-          console.log('🔄 Updating dev browser JWT from response header');
-          this.setDevBrowserJWTCookie(newDevBrowserJWT);
+      try {
+        return await this.sendRequest(context);
+      } catch (error) {
+        // An earlier attempt may have succeeded with its response lost; the resource is gone either way
+        if (attempt > 0 && originalMethod === 'DELETE' && error.status === 404) {
+          this.logger.debug(`${originalMethod} ${path} returned 404 on retry, treating as deleted`);
+          return { response: null, data: {} };
+        }
+        
+        const delay = attempt < maxRetries ? this.getRetryDelay(attempt, error) : null;
+        if (delay === null) {
+          throw await this.runErrorMiddleware(error, context);
         }
+        
+        this.logger.debug(`Retrying ${originalMethod} ${path} in ${delay}ms (retry ${attempt + 1}/${maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
       }
-      
-      if (!response.ok) {
-        throw this.createError(data, response.status);
+    }
+  }
+
+  // Attempts (passwords, codes, passkeys) are never retried: a replay could burn
+  // a one-time code or count twice against lockout limits
+  isRetryableRequest(path, method, retry) {
+    if (/\/attempt_[a-z_]+$/.test(path)) return false;
+    if (retry !== undefined) return !!retry;
+    return ['GET', 'PUT', 'DELETE'].includes(method);
+  }
+
+  // Exponential backoff with full jitter; Retry-After wins for 429s.
+  // Returns null when the error should not be retried.
+  getRetryDelay(attempt, error) {
+    const { baseDelay, maxDelay, maxRetryAfter } = this.retryPolicy;
+    
+    // Anything else (e.g. a throwing middleware hook) is a bug, not a transient failure
+    if (!(error instanceof ClerkAPIError || error instanceof ClerkNetworkError)) {
+      return null;
+    }
+    
+    if (error.status === 429) {
+      if (error.retryAfter !== null && error.retryAfter !== undefined) {
+        return error.retryAfter <= maxRetryAfter ? error.retryAfter : null;
       }
-      
-      return { response, data };
+    } else if (error.status !== 0 && error.status < 500) {
+      return null;
+    }
+    
+    const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  parseRetryAfter(header) {
+    if (!header) return null;
+    
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // Registers { onRequest, onResponse, onError } hooks; returns a function that removes them
+  use(middleware) {
+    this.middleware.push(middleware);
+    return () => {
+      this.middleware = this.middleware.filter(m => m !== middleware);
+    };
+  }
+
+  // Errors thrown by middleware hooks propagate unchanged and are not retried;
+  // only a failing fetch becomes a ClerkNetworkError
+  async sendRequest(context) {
+    // onRequest(context) may mutate context.url/context.options or return a replacement context
+    for (const middleware of this.middleware) {
+      if (middleware.onRequest) {
+        context = (await middleware.onRequest(context)) || context;
+      }
+    }
+    
+    let response;
+    try {
+      response = await this.fetch(context.url, context.options);
     } catch (error) {
-      if (error.name === 'ClerkError') {
-        throw error;
+      throw new ClerkNetworkError(error.message, { cause: error });
+    }
+    
+    // onResponse(response, context) may return a replacement response;
+    // use response.clone() to read the body without consuming it
+    for (const middleware of this.middleware) {
+      if (middleware.onResponse) {
+        response = (await middleware.onResponse(response, context)) || response;
+      }
+    }
+    
+    // Gateways can answer 5xx/429 with non-JSON bodies
+    const data = await response.json().catch(() => ({}));
+    
+    this.logger.debug(`Response:`, { status: response.status, data });
+    
+    // Check for new dev browser JWT in response headers
+    if (this.isDevInstance()) {
+      const newDevBrowserJWT = response.headers.get('clerk-dev-browser-jwt');
+      if (newDevBrowserJWT && newDevBrowserJWT !== this.devBrowserJWT) {
+        this.logger.debug('Updating dev browser JWT from response header');
+        this.setDevBrowserJWTCookie(newDevBrowserJWT);
+      }
+    }
+    
+    if (response.status === 429) {
+      const error = this.createError(data, 429, ClerkErrorCodes.RATE_LIMITED);
+      error.code = ClerkErrorCodes.RATE_LIMITED;
+      error.retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+      throw error;
+    }
+    
+    if (!response.ok) {
+      throw this.createError(data, response.status);
+    }
+    
+    return { response, data };
+  }
+
+  // onError(error, context) runs once per failed apiCall, after retries; it may return a replacement error
+  async runErrorMiddleware(error, context) {
+    for (const middleware of this.middleware) {
+      if (middleware.onError) {
+        try {
+          error = (await middleware.onError(error, context)) || error;
+        } catch (middlewareError) {
+          this.logger.warn('Middleware onError hook failed:', middlewareError);
+        }
       }
-      throw this.createError({ message: error.message }, 0, 'network_error');
     }
+    return error;
+  }
+
+  explainPasswordError(error) {
+    const known = PASSWORD_ERRORS[error?.code];
+    if (known) {
+      error.serverMessage = error.message;
+      error.message = known.message;
+      error.reason = known.reason;
+    }
+    return error;
   }
 
+  // An HTTP status means the Frontend API answered; status 0 is an error raised by the SDK itself
   createError(data, status, defaultCode = 'api_error') {
-    const errors = data.errors || [];
-    const primaryError = errors[0] || {};
-    
-    const error = new Error(primaryError.long_message || primaryError.message || data.message || 'Unknown error');
-    error.name = 'ClerkError';
-    error.code = primaryError.code || defaultCode;
-    error.status = status;
-    error.errors = errors;
-    error.timestamp = new Date();
+    if (status > 0) {
+      return new ClerkAPIError(data, status, defaultCode);
+    }
     
-    return error;
+    const message = data.message || 'Unknown error';
+    if (defaultCode === ClerkErrorCodes.NETWORK_ERROR) {
+      return new ClerkNetworkError(message);
+    }
+    return new ClerkRuntimeError(message, { code: defaultCode });
   }
 
   // =============================================================================
@@ -184,7 +404,7 @@ class ClerkSDK {
         }
       }
     } catch (error) {
-      console.warn('Failed to read dev browser JWT from cookie:', error);
+      this.logger.warn('Failed to read dev browser JWT from cookie:', error);
     }
     return null;
   }
@@ -193,9 +413,9 @@ class ClerkSDK {
     try {
       document.cookie = `__clerk_db_jwt=${encodeURIComponent(jwt)}; path=/; SameSite=strict`;
       this.devBrowserJWT = jwt;
-      console.log('✅ Dev browser JWT stored in cookie');
+      this.logger.debug('Dev browser JWT stored in cookie');
     } catch (error) {
-      console.warn('Failed to set dev browser JWT cookie:', error);
+      this.logger.warn('Failed to set dev browser JWT cookie:', error);
     }
   }
 
@@ -204,23 +424,23 @@ class ClerkSDK {
       const url = new URL(window.location.href);
       return url.searchParams.get('__clerk_db_jwt');
     } catch (error) {
-      console.warn('Failed to extract dev browser JWT from URL:', error);
+      this.logger.warn('Failed to extract dev browser JWT from URL:', error);
       return null;
     }
   }
 
   async setupDevBrowser() {
     if (!this.isDevInstance()) {
-      console.log('📝 Production instance - skipping dev browser setup');
+      this.logger.debug('Production instance - skipping dev browser setup');
       return;
     }
 
-    console.log('🔧 Setting up development browser authentication...');
+    this.logger.debug('Setting up development browser authentication...');
 
     // Step 1: Check for JWT in URL params (redirected from clerk dashboard)
     const jwtFromUrl = this.getDevBrowserJWTFromURL();
     if (jwtFromUrl) {
-      console.log('✅ Found dev browser JWT in URL');
+      this.logger.debug('Found dev browser JWT in URL');
       this.setDevBrowserJWTCookie(jwtFromUrl);
       // Clean up URL without reloading page
       const url = new URL(window.location.href);
@@ -232,27 +452,27 @@ class ClerkSDK {
     // Step 2: Check for existing JWT in cookie
     const jwtFromCookie = this.getDevBrowserJWTFromCookie();
     if (jwtFromCookie) {
-      console.log('✅ Found existing dev browser JWT in cookie');
+      this.logger.debug('Found existing dev browser JWT in cookie');
       this.devBrowserJWT = jwtFromCookie;
       return;
     }
 
     // Step 3: Try to get a new dev browser JWT automatically
-    console.log('🔄 Attempting to get new dev browser JWT...');
+    this.logger.debug('Attempting to get new dev browser JWT...');
     try {
       await this.requestDevBrowserJWT();
     } catch (error) {
-      console.warn('⚠️ Could not obtain dev browser JWT automatically:', error.message);
-      console.log('💡 You may need to visit your Clerk dashboard first to authenticate this browser');
+      this.logger.warn('Could not obtain dev browser JWT automatically:', error.message);
+      this.logger.info('You may need to visit your Clerk dashboard first to authenticate this browser');
     }
   }
 
   async requestDevBrowserJWT() {
     try {
       const url = `https://${this.domain}/v1/dev_browser`;
-      console.log('🔄 Requesting dev browser JWT from:', url);
+      this.logger.debug('Requesting dev browser JWT from:', url);
       
-      const response = await fetch(url, {
+      const response = await this.fetch(url, {
         method: 'POST',
         credentials: 'include'
       });
@@ -264,13 +484,13 @@ class ClerkSDK {
 
       const data = await response.json();
       if (data.id) {
-        console.log('✅ Successfully obtained dev browser JWT');
+        this.logger.debug('Successfully obtained dev browser JWT');
         this.setDevBrowserJWTCookie(data.id);
       } else {
         throw new Error('No JWT returned from dev_browser endpoint');
       }
     } catch (error) {
-      console.error('❌ Failed to request dev browser JWT:', error);
+      this.logger.error('Failed to request dev browser JWT:', error);
       throw error;
     }
   }
@@ -279,35 +499,65 @@ class ClerkSDK {
   // INITIALIZATION
   // =============================================================================
 
-  async load() {
-    if (this.loaded) return;
+  // Concurrent callers (e.g. React StrictMode's double effect) share one in-flight load;
+  // a failed load can be retried
+  load() {
+    if (this.loaded) return Promise.resolve();
+    
+    if (!this.loadPromise) {
+      this.loadPromise = this._load().finally(() => {
+        this.loadPromise = null;
+      });
+    }
+    return this.loadPromise;
+  }
 
+  async _load() {
     try {
-      console.log('🚀 Initializing Clerk SDK...');
-      console.log('🌐 Domain:', this.domain);
-      console.log('🔧 API Version:', this.apiVersion);
+      this.logger.debug('Initializing Clerk SDK...');
+      this.logger.debug('Domain:', this.domain);
+      this.logger.debug('API Version:', this.apiVersion);
       
       // Setup development browser JWT handling first (before any API calls)
       await this.setupDevBrowser();
       
+      if (this.syncTabs) {
+        this.startTabSync();
+      }
+      
       // Initialize environment and client sequentially for better error handling
-      console.log('📋 Fetching environment configuration...');
+      this.logger.debug('Fetching environment configuration...');
       const environment = await this.fetchEnvironment();
-      console.log('✅ Environment loaded');
+      this.logger.debug('Environment loaded');
 
-      console.log('🔗 Creating/getting client...');
+      this.logger.debug('Creating/getting client...');
       const client = await this.createClient();
-      console.log('✅ Client ready');
+      this.logger.debug('Client ready');
 
       this.environment = environment;
-      this.client = client;
+      this.userSettings = new UserSettings(environment);
+      this.setClient(client);
+
+      // Finish an OAuth flow if we are returning from the provider
+      const isRedirectReturn = this._consumeRedirectCallbackParam();
+      if (await this.storage.get(this.redirectCacheKey) || (isRedirectReturn && this._hasRedirectResult(client))) {
+        this.logger.debug('Returning from OAuth redirect, completing flow...');
+        try {
+          await this.handleRedirectCallback();
+        } catch (error) {
+          this.logger.error('Failed to handle redirect callback:', error);
+          this.emit('error', error);
+        }
+      }
 
       // Try to restore existing session
-      console.log('🔄 Checking for existing session...');
-      await this.restoreSession();
+      if (!this.session) {
+        this.logger.debug('Checking for existing session...');
+        await this.restoreSession();
+      }
 
       // Debug: Check SDK state after restoration attempt
-      console.log('🎯 SDK state after restore attempt:', {
+      this.logger.debug('SDK state after restore attempt:', {
         'this.session': !!this.session,
         'this.user': !!this.user,
         'isSignedIn': this.isSignedIn,
@@ -315,19 +565,21 @@ class ClerkSDK {
         'user.email': this.user?.email_addresses[0]?.email_address
       });
 
-      this.loaded = true;
+      this._setState({ loaded: true });
       this.emit('loaded', { environment, client });
       
-      console.log('✅ Clerk SDK initialized successfully');
+      this.logger.info('Clerk SDK initialized successfully');
     } catch (error) {
-      console.error('❌ Failed to initialize Clerk SDK:', error);
+      this.logger.error('Failed to initialize Clerk SDK:', error);
       
       // Provide helpful error messages based on the error
-      if (error.message.includes('authenticate this browser')) {
-        console.log('💡 Possible solutions:');
-        console.log('   1. Visit https://dashboard.clerk.com and navigate to your instance');
-        console.log('   2. Make sure you\'re using the correct domain');
-        console.log('   3. Try refreshing the page after visiting the dashboard');
+      if (error.code === ClerkErrorCodes.DEV_BROWSER_UNAUTHENTICATED) {
+        this.logger.info(
+          'Possible solutions: ' +
+          '1. Visit https://dashboard.clerk.com and navigate to your instance; ' +
+          '2. Make sure you\'re using the correct domain; ' +
+          '3. Try refreshing the page after visiting the dashboard'
+        );
       }
       
       this.emit('error', error);
@@ -351,19 +603,20 @@ class ClerkSDK {
       return data.response;
     } catch (error) {
       // If client creation fails, try GET to see if client already exists
-      if (error.message.includes('authenticate this browser')) {
-        console.warn('⚠️ Development instance requires browser authentication. Trying to get existing client...');
+      if (error.code === ClerkErrorCodes.DEV_BROWSER_UNAUTHENTICATED) {
+        this.logger.warn('Development instance requires browser authentication. Trying to get existing client...');
         
         try {
           const { data } = await this.apiCall('/client');
-          console.log('✅ Using existing client instead of creating new one');
+          this.logger.debug('Using existing client instead of creating new one');
           return data.response;
         } catch (getError) {
-          console.error('❌ Cannot access client:', getError.message);
-          throw new Error(
+          this.logger.error('Cannot access client:', getError.message);
+          throw new ClerkRuntimeError(
             'Unable to authenticate with your Clerk development instance. ' +
             'Please ensure you have the correct domain and that your browser is authorized. ' +
-            'Try visiting your Clerk dashboard first to establish authentication cookies.'
+            'Try visiting your Clerk dashboard first to establish authentication cookies.',
+            { code: ClerkErrorCodes.DEV_BROWSER_UNAUTHENTICATED }
           );
         }
       }
@@ -374,13 +627,13 @@ class ClerkSDK {
   async restoreSession() {
     try {
       // First, check if we have a cached session in localStorage
-      const cachedData = this.storage.get('clerk_session_cache');
-      console.log('🔍 Checking localStorage for cached session...');
-      console.log('📦 Raw cached data:', cachedData);
+      const cachedData = await this.storage.get(this.sessionCacheKey);
+      this.logger.debug('Checking localStorage for cached session...');
+      this.logger.debug('Raw cached data:', cachedData);
       
       if (cachedData && cachedData.session) {
-        console.log('📦 Found cached session, validating with server...');
-        console.log('📋 Cached session details:', {
+        this.logger.debug('Found cached session, validating with server...');
+        this.logger.debug('Cached session details:', {
           id: cachedData.session.id,
           status: cachedData.session.status,
           user: cachedData.session.user?.email_addresses[0]?.email_address,
@@ -394,11 +647,11 @@ class ClerkSDK {
         const now = new Date();
         
         if (sessionExpiry <= now) {
-          console.log('⚠️ Cached session has expired according to its expiry date, clearing cache');
-          this.storage.remove('clerk_session_cache');
+          this.logger.debug('Cached session has expired according to its expiry date, clearing cache');
+          await this._removeSessionCache();
           // Continue to server-only check
         } else {
-          console.log('✅ Cached session not expired, expiry:', sessionExpiry.toLocaleString());
+          this.logger.debug('Cached session not expired, expiry:', sessionExpiry.toLocaleString());
           
           // For development/testing: trust the cached session if it's not expired
           // This helps with localhost/development issues where cookies might not persist
@@ -406,7 +659,7 @@ class ClerkSDK {
           const recentCacheTime = 6 * 60 * 60 * 1000; // 6 hours
           
           if (cacheAge < recentCacheTime) {
-            console.log('🚀 Using cached session directly (development mode)');
+            this.logger.debug('Using cached session directly (development mode)');
             this._restoreSession(cachedSession, 'cache-direct');
             return; // Skip server validation for recent sessions
           }
@@ -414,10 +667,11 @@ class ClerkSDK {
         
         // Try to validate the cached session with the server
         try {
-          console.log('🌐 Calling /client to validate cached session...');
+          this.logger.debug('Calling /client to validate cached session...');
           const { data } = await this.apiCall('/client');
           const client = data.response;
-          console.log('📊 Server client response:', {
+          this.setClient(client);
+          this.logger.debug('Server client response:', {
             sessions_count: client.sessions?.length || 0,
             active_sessions: client.sessions?.filter(s => s.status === 'active').length || 0,
             last_active_session_id: client.last_active_session_id
@@ -427,8 +681,8 @@ class ClerkSDK {
           
           // Check if our cached session is still valid on the server
           const serverSession = activeSessions.find(s => s.id === cachedSession.id);
-          console.log('🔍 Looking for cached session ID on server:', cachedSession.id);
-          console.log('🔍 Server session found:', !!serverSession);
+          this.logger.debug('Looking for cached session ID on server:', cachedSession.id);
+          this.logger.debug('Server session found:', !!serverSession);
           
           if (serverSession) {
             // Session is still valid on server, use the server version (most up to date)
@@ -443,34 +697,35 @@ class ClerkSDK {
             return;
           } else {
             // No active sessions on server, clear cache
-            console.log('⚠️ Cached session no longer valid, clearing cache');
-            this.storage.remove('clerk_session_cache');
+            this.logger.debug('Cached session no longer valid, clearing cache');
+            await this._removeSessionCache();
           }
         } catch (serverError) {
           // Server call failed, use cached session if not too old
           const cacheAge = Date.now() - cachedData.timestamp;
           const maxCacheAge = 24 * 60 * 60 * 1000; // 24 hours
           
-          console.log(`🔍 Server validation failed: ${serverError.message}`);
-          console.log(`🔍 Cache age: ${Math.round(cacheAge / 1000 / 60)} minutes (max: ${Math.round(maxCacheAge / 1000 / 60)} minutes)`);
+          this.logger.debug(`Server validation failed: ${serverError.message}`);
+          this.logger.debug(`Cache age: ${Math.round(cacheAge / 1000 / 60)} minutes (max: ${Math.round(maxCacheAge / 1000 / 60)} minutes)`);
           
           if (cacheAge < maxCacheAge) {
-            console.log('🔄 Server unavailable, using cached session (offline mode)');
+            this.logger.debug('Server unavailable, using cached session (offline mode)');
             this._restoreSession(cachedSession, 'cache-offline');
             return;
           } else {
-            console.log('⚠️ Cached session too old and server unavailable');
-            this.storage.remove('clerk_session_cache');
+            this.logger.debug('Cached session too old and server unavailable');
+            await this._removeSessionCache();
           }
         }
       } else {
-        console.log('ℹ️ No cached session found in localStorage');
+        this.logger.debug('No cached session found in localStorage');
       }
       
       // No valid cached session, try to get sessions from server only
-      console.log('🌐 No cached session, checking server for active sessions...');
+      this.logger.debug('No cached session, checking server for active sessions...');
       const { data } = await this.apiCall('/client');
       const client = data.response;
+      this.setClient(client);
       const activeSessions = client.sessions.filter(s => s.status === 'active');
       
       if (activeSessions.length > 0) {
@@ -479,12 +734,12 @@ class ClerkSDK {
         ) || activeSessions[0];
         this._restoreSession(currentSession, 'server-fresh');
       } else {
-        console.log('ℹ️ No active sessions found on server');
+        this.logger.debug('No active sessions found on server');
       }
     } catch (error) {
-      console.warn('⚠️ Failed to restore session:', error.message);
+      this.logger.warn('Failed to restore session:', error.message);
       // Clear any invalid cached data
-      this.storage.remove('clerk_session_cache');
+      await this._removeSessionCache();
     }
   }
 
@@ -504,20 +759,32 @@ class ClerkSDK {
     const { sessionId = this.session?.id, callback } = options;
     
     if (!sessionId) {
-      console.warn('No session to sign out from');
+      this.logger.warn('No session to sign out from');
       return;
     }
 
     try {
-      console.log('🔄 Signing out...');
+      this.logger.debug('Signing out...');
       
-      await this.apiCall(`/client/sessions/${sessionId}`, {
+      const { data } = await this.apiCall(`/client/sessions/${sessionId}`, {
         method: 'DELETE',
         params: { _clerk_session_id: sessionId }
       });
       
-      if (sessionId === this.session?.id) {
+      // Only this session is gone; other sessions on the client stay signed in
+      if (data?.client) {
+        this.setClient(data.client);
+      }
+      
+      const nextSession = this.sessions.find(s => s.id !== sessionId);
+      if (sessionId === this.session?.id && !nextSession) {
         this.clearSession();
+      } else {
+        this._forgetSession(sessionId);
+        if (sessionId === this.session?.id) {
+          await this.setSession(nextSession);
+          this.emit('sessionChanged', { session: nextSession, previousSessionId: sessionId });
+        }
       }
       
       if (callback) {
@@ -525,9 +792,9 @@ class ClerkSDK {
       }
       
       this.emit('sessionDestroyed', { sessionId });
-      console.log('✅ Signed out successfully');
+      this.logger.info('Signed out successfully');
     } catch (error) {
-      console.error('❌ Sign out failed:', error);
+      this.logger.error('Sign out failed:', error);
       throw error;
     }
   }
@@ -538,39 +805,327 @@ class ClerkSDK {
         method: 'DELETE'
       });
       
-      this.clearSession();
+      this.clearSession({ allSessions: true });
       this.emit('sessionDestroyed', { sessionId: 'all' });
-      console.log('✅ Signed out from all sessions');
+      this.logger.info('Signed out from all sessions');
     } catch (error) {
-      console.error('❌ Sign out all failed:', error);
+      this.logger.error('Sign out all failed:', error);
       throw error;
     }
   }
 
   // =============================================================================
-  // SESSION MANAGEMENT
+  // OAUTH REDIRECT HANDLING
   // =============================================================================
 
-  setSession(session) {
-    this.session = session;
-    this.user = session.user;
-    this.organization = session.organization || null;
-    
-    // Cache session for offline support
-    this.storage.set('clerk_session_cache', {
-      session,
+  // Remember an in-flight redirect so load() can finish it when the provider sends us back
+  async _markRedirectPending(flow, redirectUrlComplete, details = {}) {
+    await this.storage.set(this.redirectCacheKey, {
+      flow,
+      redirectUrlComplete: redirectUrlComplete || null,
+      ...details,
       timestamp: Date.now()
     });
+  }
+
+  // Tags the OAuth redirect_url so load() can tell a real return trip from a stale attempt
+  _withRedirectCallbackParam(redirectUrl) {
+    const url = new URL(redirectUrl, window.location.href);
+    url.searchParams.set('__clerk_redirect_callback', '1');
+    return url.toString();
+  }
+
+  // Removes the tag from the address bar without reloading the page
+  _consumeRedirectCallbackParam() {
+    if (typeof window === 'undefined' || !window.location) return false;
+
+    try {
+      const url = new URL(window.location.href);
+      if (!url.searchParams.has('__clerk_redirect_callback')) return false;
+
+      url.searchParams.delete('__clerk_redirect_callback');
+      window.history?.replaceState({}, '', url.toString());
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // The provider callback leaves its result on the client's sign_in/sign_up. load() checks it on
+  // a tagged return trip to catch returns whose pending marker was lost, e.g. with non-persistent
+  // storage such as 'memory'. Untagged loads skip it: a failed attempt keeps its error on the
+  // client until the next sign-in starts.
+  _hasRedirectResult(client) {
+    const verifications = [
+      client?.sign_in?.first_factor_verification,
+      client?.sign_up?.verifications?.external_account
+    ];
+    return verifications.some(verification =>
+      verification?.strategy?.startsWith('oauth_') &&
+      (verification.error || ['verified', 'transferable'].includes(verification.status))
+    );
+  }
+
+  async handleRedirectCallback(options = {}) {
+    const pending = (await this.storage.get(this.redirectCacheKey)) || {};
+    const { navigate = true } = options;
+    const redirectUrlComplete = options.redirectUrlComplete || pending.redirectUrlComplete;
+
+    await this.storage.remove(this.redirectCacheKey);
+
+    if (pending.flow === 'external_account') {
+      return this._completeExternalAccountRedirect(pending.externalAccountId, navigate, redirectUrlComplete);
+    }
+
+    try {
+      // Read the sign-in/sign-up state the provider callback left on the client
+      const { data } = await this.apiCall('/client');
+      let client = data.response;
+      this.setClient(client);
+
+      let signIn = client.sign_in;
+      let signUp = client.sign_up;
+
+      this.logger.debug('Redirect callback state:', {
+        signInStatus: signIn?.status,
+        signInVerification: signIn?.first_factor_verification?.status,
+        signUpStatus: signUp?.status,
+        signUpVerification: signUp?.verifications?.external_account?.status
+      });
+
+      const verificationError = signIn?.first_factor_verification?.error ||
+        signUp?.verifications?.external_account?.error;
+      if (verificationError) {
+        throw this.createError({ errors: [verificationError] }, 422);
+      }
+
+      // The provider account has no Clerk user yet: transfer to a sign-up
+      if (signIn?.first_factor_verification?.status === 'transferable') {
+        this.logger.debug('No account for this provider identity, transferring to sign-up...');
+        const { data: transferData } = await this.apiCall('/client/sign_ups', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body: new URLSearchParams({ transfer: 'true' })
+        });
+        signUp = transferData.response;
+        client = transferData.client || client;
+      // The provider identity already belongs to a user: transfer to a sign-in
+      } else if (signUp?.verifications?.external_account?.status === 'transferable') {
+        this.logger.debug('Account already exists, transferring to sign-in...');
+        const { data: transferData } = await this.apiCall('/client/sign_ins', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body: new URLSearchParams({ transfer: 'true' })
+        });
+        signIn = transferData.response;
+        client = transferData.client || client;
+      }
+
+      const completed = [signIn, signUp].find(attempt => attempt?.status === 'complete');
+
+      if (!completed) {
+        const status = signIn?.status === 'needs_second_factor'
+          ? 'needs_second_factor'
+          : signUp?.status || signIn?.status || 'unknown';
+        this.logger.debug('Redirect flow not complete:', status);
+        this.emit('redirectCallbackIncomplete', { status, signIn, signUp });
+        return { status, signIn, signUp, session: null };
+      }
+
+      const session = client.sessions?.find(s => s.id === completed.created_session_id);
+      if (!session) {
+        throw new Error('Redirect flow completed but the created session was not found on the client');
+      }
+
+      await this.setSession(session);
+      this.logger.info('OAuth authentication successful!');
+
+      if (navigate && redirectUrlComplete && typeof window !== 'undefined') {
+        window.location.assign(redirectUrlComplete);
+      }
+
+      return { status: 'complete', signIn, signUp, session };
+    } catch (error) {
+      this.logger.error('Failed to handle redirect callback:', error);
+      throw error;
+    }
+  }
+
+  // =============================================================================
+  // EMAIL LINK VERIFICATION
+  // =============================================================================
+
+  // Polls a sign-in/sign-up attempt until isDone(attempt) is true; resolves to null when cancelled
+  _pollAttempt(path, isDone, options = {}) {
+    const { interval = 2000, timeout = 10 * 60 * 1000 } = options;
+    const startedAt = Date.now();
+    let timer = null;
+    let cancelled = false;
+    let resolvePoll;
+
+    const promise = new Promise((resolve, reject) => {
+      resolvePoll = resolve;
+
+      const tick = async () => {
+        if (cancelled) return;
+
+        try {
+          const { data } = await this.apiCall(path);
+          if (cancelled) return;
+
+          if (isDone(data.response)) {
+            resolve(data);
+            return;
+          }
+
+          if (Date.now() - startedAt >= timeout) {
+            reject(this.createError({ message: 'Timed out waiting for verification' }, 0, 'verification_timeout'));
+            return;
+          }
+
+          timer = setTimeout(tick, interval);
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      timer = setTimeout(tick, interval);
+    });
+
+    const cancel = () => {
+      if (cancelled) return;
+      cancelled = true;
+      clearTimeout(timer);
+      this.logger.debug('Verification polling cancelled');
+      resolvePoll(null);
+    };
+
+    return { promise, cancel };
+  }
+
+  // Finds the created session on the client (refetching it if needed) and makes it current
+  async _activateCreatedSession(sessionId, client = null) {
+    let session = client?.sessions?.find(s => s.id === sessionId);
+
+    if (!session) {
+      const { data } = await this.apiCall('/client');
+      this.setClient(data.response);
+      session = this.client.sessions?.find(s => s.id === sessionId);
+    }
+
+    if (session) {
+      await this.setSession(session);
+    }
+
+    return session || null;
+  }
+
+  // Run on the page the email link lands on (the redirectUrl passed to startEmailLinkFlow)
+  async handleEmailLinkVerification() {
+    const url = new URL(window.location.href);
+    const status = url.searchParams.get('__clerk_status');
+    const createdSessionId = url.searchParams.get('__clerk_created_session');
+
+    if (!status) {
+      throw new Error('No email link verification status found in URL');
+    }
+
+    // Clean up URL without reloading page
+    url.searchParams.delete('__clerk_status');
+    url.searchParams.delete('__clerk_created_session');
+    window.history.replaceState({}, '', url.toString());
+
+    this.logger.debug('Email link verification status:', status);
+
+    if (status !== 'verified') {
+      const messages = {
+        expired: 'This email link has expired',
+        failed: 'This email link is invalid',
+        client_mismatch: 'This email link must be opened on the device and browser it was requested from'
+      };
+      throw this.createError(
+        { message: messages[status] || `Email link verification failed: ${status}` },
+        0,
+        `email_link_${status}`
+      );
+    }
+
+    if (createdSessionId) {
+      const session = await this._activateCreatedSession(createdSessionId);
+      if (session) {
+        this.logger.info('Email link authentication successful!');
+        return { status: 'verified', session };
+      }
+    }
+
+    // Verified, but the session belongs to the tab/device that started the flow
+    this.emit('emailLinkVerified', { sessionId: createdSessionId });
+    return { status: 'verified_switch_tab', session: null };
+  }
+
+  // =============================================================================
+  // SESSION MANAGEMENT
+  // =============================================================================
+
+  // Keeps the list of active sessions on this client in sync with a /client response
+  setClient(client) {
+    this._setState({
+      client,
+      sessions: (client?.sessions || []).filter(s => s.status === 'active')
+    });
+  }
+
+  // Returns a new sessions list with the session added, replaced, or removed if no longer active
+  _sessionsWith(session) {
+    if (session.status !== 'active') {
+      return this.sessions.filter(s => s.id !== session.id);
+    }
+    return this.sessions.some(s => s.id === session.id)
+      ? this.sessions.map(s => (s.id === session.id ? session : s))
+      : [...this.sessions, session];
+  }
+
+  // State derived from a session becoming current
+  _sessionState(session) {
+    return {
+      session,
+      user: session.user,
+      organization: session.organization || null,
+      sessions: this._sessionsWith(session)
+    };
+  }
+
+  // Replaces the user, keeping session.user and the session cache in step
+  _setUser(user) {
+    const session = this.session ? { ...this.session, user } : null;
+    this._setState({ user, session });
+    if (session) {
+      this._refreshSessionCache(session);
+    }
+  }
+
+  async setSession(session) {
+    this._setState(this._sessionState(session));
     
     // Start session refresh timer
     this.startSessionRefresh();
     
     this.emit('sessionCreated', { session });
+    
+    // Cache session for offline support
+    await this._updateSessionCache(() => this.storage.set(this.sessionCacheKey, {
+      session,
+      timestamp: Date.now()
+    }));
   }
 
   // Internal method for session restoration that doesn't trigger caching
   _restoreSession(session, source = 'unknown') {
-    console.log(`🔄 Restoring session from ${source}:`, {
+    this.logger.debug(`Restoring session from ${source}:`, {
       sessionId: session.id,
       userId: session.user?.id,
       email: session.user?.email_addresses[0]?.email_address,
@@ -578,32 +1133,17 @@ class ClerkSDK {
       expires: session.expire_at
     });
     
-    console.log('📋 Full session object:', session);
+    this._setState(this._sessionState(session));
     
-    this.session = session;
-    this.user = session.user;
-    this.organization = session.organization || null;
-    
-    console.log('✅ Session variables set:', {
+    this.logger.debug('Session variables set:', {
       'this.session': !!this.session,
       'this.user': !!this.user,
       'this.session.status': this.session?.status,
       'isSignedIn': this.isSignedIn
     });
     
-    // Update cache timestamp without overwriting
-    const existingCache = this.storage.get('clerk_session_cache');
-    if (existingCache) {
-      existingCache.timestamp = Date.now();
-      existingCache.session = session; // Update with fresh data
-      this.storage.set('clerk_session_cache', existingCache);
-    } else {
-      // First time caching
-      this.storage.set('clerk_session_cache', {
-        session,
-        timestamp: Date.now()
-      });
-    }
+    // Update cache timestamp without overwriting (storage may be async)
+    this._refreshSessionCache(session);
     
     // Start session refresh timer
     this.startSessionRefresh();
@@ -612,38 +1152,158 @@ class ClerkSDK {
     this.emit('sessionCreated', { session });
   }
 
-  clearSession() {
-    this.session = null;
-    this.user = null;
-    this.organization = null;
-    
-    this.tokenCache.clear();
-    this.stopSessionRefresh();
-    this.storage.remove('clerk_session_cache');
-    
-    this.emit('sessionCleared');
+  _refreshSessionCache(session) {
+    return this._updateSessionCache(async () => {
+      const existingCache = await this.storage.get(this.sessionCacheKey);
+      if (existingCache) {
+        existingCache.timestamp = Date.now();
+        existingCache.session = session; // Update with fresh data
+        await this.storage.set(this.sessionCacheKey, existingCache);
+      } else {
+        // First time caching
+        await this.storage.set(this.sessionCacheKey, {
+          session,
+          timestamp: Date.now()
+        });
+      }
+    });
   }
 
-  async getCurrentSession() {
-    try {
-      const { data } = await this.apiCall('/client');
-      const client = data.response;
-      const activeSessions = client.sessions.filter(s => s.status === 'active');
-      const currentSession = activeSessions.find(s => s.id === client.last_active_session_id);
-      
-      return currentSession || null;
-    } catch (error) {
-      console.error('Failed to get current session:', error);
-      return null;
-    }
+  _removeSessionCache() {
+    return this._updateSessionCache(() => this.storage.remove(this.sessionCacheKey));
   }
 
-  async validateSession(sessionId = this.session?.id) {
-    if (!sessionId) return { isValid: false, error: 'No session ID' };
+  // Every write to the session cache goes through one chain. Otherwise a refresh that read the
+  // cache before clearSession() could write the signed-out session back after the remove.
+  _updateSessionCache(update) {
+    this.sessionCacheWrites = this.sessionCacheWrites.then(update).catch(error => {
+      this.logger.warn('Failed to update session cache:', error);
+    });
+    return this.sessionCacheWrites;
+  }
 
-    try {
-      const { data } = await this.apiCall(`/client/sessions/${sessionId}`, {
-        params: { _clerk_session_id: sessionId }
+  // Signs this tab out of the current session. Other sessions on the client stay in this.sessions;
+  // keepSession leaves the current one listed too, allSessions empties the list.
+  clearSession(options = {}) {
+    const { keepSession = false, allSessions = false } = options;
+    const sessionId = this.session?.id || null;
+    
+    if (allSessions) {
+      this.sessions.forEach(s => this.endedSessionIds.add(s.id));
+    }
+    if (sessionId && !keepSession) {
+      this.endedSessionIds.add(sessionId);
+    }
+    
+    let sessions = this.sessions;
+    if (allSessions) {
+      sessions = [];
+    } else if (!keepSession) {
+      sessions = sessions.filter(s => s.id !== sessionId);
+    }
+    this._setState({ session: null, sessions, user: null, organization: null });
+    
+    if (allSessions) {
+      this.tokenCache.clear();
+    } else if (sessionId) {
+      this.clearTokenCache(sessionId);
+    }
+    this.stopSessionRefresh();
+    this._removeSessionCache();
+    
+    this.emit('sessionCleared', { sessionId, keepSession, allSessions });
+  }
+
+  // Switches the current session (multi-session instances). Pass the session object or its id;
+  // pass session: null to leave this tab signed out without ending any session.
+  async setActive(params = {}) {
+    const { session, organization } = params;
+
+    if (session === null) {
+      this.clearSession({ keepSession: true });
+      return null;
+    }
+
+    const sessionId = typeof session === 'string' ? session : session?.id || this.session?.id;
+    if (!sessionId) {
+      throw new Error('No session to activate');
+    }
+
+    const previousSessionId = this.session?.id || null;
+
+    try {
+      const body = new URLSearchParams();
+      if (organization !== undefined) {
+        const organizationId = typeof organization === 'string' ? organization : organization?.id;
+        body.set('active_organization_id', organizationId || '');
+      }
+
+      const { data } = await this.apiCall(`/client/sessions/${sessionId}/touch`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body,
+        params: { _clerk_session_id: sessionId }
+      });
+
+      const activeSession = data.response;
+      if (this.client) {
+        this.client.last_active_session_id = activeSession.id;
+      }
+      await this.setSession(activeSession);
+
+      if (previousSessionId !== activeSession.id) {
+        this.emit('sessionChanged', { session: activeSession, previousSessionId });
+        this.logger.debug('Switched active session:', activeSession.id);
+      }
+
+      return activeSession;
+    } catch (error) {
+      this.logger.error('Failed to set active session:', error);
+      throw error;
+    }
+  }
+
+  // Drops an ended session that clearSession() does not cover (not current, or another session
+  // takes over) and tells other tabs. Ended ids are remembered so a late sessionCreated from
+  // another tab cannot bring the session back.
+  _forgetSession(sessionId) {
+    this.endedSessionIds.add(sessionId);
+    this.clearTokenCache(sessionId);
+    this._setState({ sessions: this.sessions.filter(s => s.id !== sessionId) });
+    this._broadcastTabMessage('sessionCleared', { sessionId, keepSession: false, allSessions: false });
+  }
+
+  clearTokenCache(sessionId) {
+    for (const key of this.tokenCache.keys()) {
+      if (key.startsWith(`${sessionId}-`)) {
+        this.tokenCache.delete(key);
+      }
+    }
+  }
+
+  async getCurrentSession() {
+    try {
+      const { data } = await this.apiCall('/client');
+      const client = data.response;
+      this.setClient(client);
+      const activeSessions = client.sessions.filter(s => s.status === 'active');
+      const currentSession = activeSessions.find(s => s.id === client.last_active_session_id);
+      
+      return currentSession || null;
+    } catch (error) {
+      this.logger.error('Failed to get current session:', error);
+      return null;
+    }
+  }
+
+  async validateSession(sessionId = this.session?.id) {
+    if (!sessionId) return { isValid: false, error: 'No session ID' };
+
+    try {
+      const { data } = await this.apiCall(`/client/sessions/${sessionId}`, {
+        params: { _clerk_session_id: sessionId }
       });
       
       const session = data.response;
@@ -661,24 +1321,29 @@ class ClerkSDK {
     try {
       await this.apiCall(`/client/sessions/${sessionId}/touch`, {
         method: 'POST',
-        params: { _clerk_session_id: sessionId }
+        params: { _clerk_session_id: sessionId },
+        retry: true
       });
       
-      console.log('✅ Session refreshed');
+      this.logger.debug('Session refreshed');
       return true;
     } catch (error) {
-      console.error('Failed to refresh session:', error);
+      this.logger.error('Failed to refresh session:', error);
       return false;
     }
   }
 
   startSessionRefresh() {
+    this.stopSessionRefresh();
+    
     // Refresh session every 5 minutes
     this.refreshTimer = setInterval(async () => {
       if (this.session) {
         await this.refreshSession(this.session.id);
       }
     }, 5 * 60 * 1000);
+    
+    this.startTokenRefresh();
   }
 
   stopSessionRefresh() {
@@ -686,6 +1351,124 @@ class ClerkSDK {
       clearInterval(this.refreshTimer);
       this.refreshTimer = null;
     }
+    
+    this.stopTokenRefresh();
+  }
+
+  // =============================================================================
+  // CROSS-TAB SYNCHRONIZATION
+  // =============================================================================
+
+  startTabSync() {
+    if (this.broadcastChannel || this.storageEventHandler) return;
+
+    // Tabs only exist in browsers; an open BroadcastChannel would also keep a Node process alive
+    if (typeof window === 'undefined') return;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.broadcastChannel = new BroadcastChannel(this.storageKey('clerk_tab_sync'));
+      this.broadcastChannel.onmessage = (event) => this._handleTabMessage(event.data);
+      this.logger.debug('Cross-tab sync via BroadcastChannel');
+    } else if (window.addEventListener) {
+      // Fallback: watch the session cache entry written by other tabs
+      this.storageEventHandler = (event) => this._handleStorageEvent(event);
+      window.addEventListener('storage', this.storageEventHandler);
+      this.logger.debug('Cross-tab sync via storage events');
+    }
+  }
+
+  stopTabSync() {
+    if (this.broadcastChannel) {
+      this.broadcastChannel.close();
+      this.broadcastChannel = null;
+    }
+    if (this.storageEventHandler) {
+      window.removeEventListener('storage', this.storageEventHandler);
+      this.storageEventHandler = null;
+    }
+  }
+
+  _broadcastTabMessage(type, data) {
+    if (!this.broadcastChannel || this.applyingTabMessage) return;
+
+    try {
+      this.broadcastChannel.postMessage({ type, data, tabId: this.tabId });
+    } catch (error) {
+      this.logger.warn('Failed to broadcast to other tabs:', error);
+    }
+  }
+
+  _handleTabMessage(message) {
+    if (!message || message.tabId === this.tabId) return;
+
+    const { type, data = {} } = message;
+    this.logger.debug('Received from another tab:', type);
+
+    // Apply the change locally and re-emit it without broadcasting it back
+    this.applyingTabMessage = true;
+    try {
+      switch (type) {
+        case 'sessionCreated':
+          if (data.session && !this.endedSessionIds.has(data.session.id)) {
+            this._setState(this._sessionState(data.session));
+            this.startSessionRefresh();
+            this.emit('sessionCreated', { session: data.session });
+          }
+          break;
+        case 'sessionCleared':
+          if (data.allSessions || (this.session && data.sessionId === this.session.id)) {
+            this.clearSession(data);
+          } else if (data.sessionId && !data.keepSession) {
+            // Another tab ended a session this tab is not using; just drop it from the list
+            this.endedSessionIds.add(data.sessionId);
+            this.clearTokenCache(data.sessionId);
+            this._setState({ sessions: this.sessions.filter(s => s.id !== data.sessionId) });
+          }
+          break;
+        case 'organizationChanged':
+          this._setState({ organization: data.organization || null });
+          this.emit('organizationChanged', { organization: this.organization });
+          break;
+        case 'userUpdated':
+          this._setState({
+            user: data.user,
+            session: this.session ? { ...this.session, user: data.user } : null
+          });
+          this.emit('userUpdated', { user: this.user });
+          break;
+      }
+    } finally {
+      this.applyingTabMessage = false;
+    }
+  }
+
+  // Storage event fallback: translate changes of the session cache entry into tab messages
+  _handleStorageEvent(event) {
+    if (event.key !== this.sessionCacheKey) return;
+
+    if (!event.newValue) {
+      this._handleTabMessage({ type: 'sessionCleared', data: { sessionId: this.session?.id } });
+      return;
+    }
+
+    let cached;
+    try {
+      cached = JSON.parse(event.newValue);
+    } catch {
+      return;
+    }
+
+    const session = cached?.session;
+    if (!session) return;
+
+    if (this.session?.id !== session.id) {
+      this._handleTabMessage({ type: 'sessionCreated', data: { session } });
+    } else if ((this.organization?.id || null) !== (session.organization?.id || null)) {
+      this._setState({ session });
+      this._handleTabMessage({ type: 'organizationChanged', data: { organization: session.organization } });
+    } else if (JSON.stringify(this.user) !== JSON.stringify(session.user)) {
+      this._handleTabMessage({ type: 'userUpdated', data: { user: session.user } });
+    }
   }
 
   // =============================================================================
@@ -693,7 +1476,7 @@ class ClerkSDK {
   // =============================================================================
 
   async getToken(options = {}) {
-    const { template = '', sessionId = this.session?.id } = options;
+    const { template = '', sessionId = this.session?.id, skipCache = false } = options;
     
     if (!sessionId) {
       throw new Error('No active session');
@@ -702,11 +1485,25 @@ class ClerkSDK {
     const cacheKey = `${sessionId}-${template}`;
     const cached = this.tokenCache.get(cacheKey);
     
-    // Return cached token if still valid (with 5 minute buffer)
-    if (cached && cached.expiresAt > new Date(Date.now() + 5 * 60 * 1000)) {
+    // Return cached token if it stays valid beyond the refresh leeway
+    // (session tokens only live ~60 seconds)
+    if (!skipCache && cached && cached.expiresAt > new Date(Date.now() + this.tokenRefreshLeeway)) {
       return cached.jwt;
     }
 
+    // Concurrent callers for the same session and template share one request
+    if (this.pendingTokenRequests.has(cacheKey)) {
+      return this.pendingTokenRequests.get(cacheKey);
+    }
+
+    const request = this._fetchToken(sessionId, template, cacheKey)
+      .finally(() => this.pendingTokenRequests.delete(cacheKey));
+    this.pendingTokenRequests.set(cacheKey, request);
+    
+    return request;
+  }
+
+  async _fetchToken(sessionId, template, cacheKey) {
     try {
       const { data } = await this.apiCall(`/client/sessions/${sessionId}/tokens`, {
         method: 'POST',
@@ -714,30 +1511,178 @@ class ClerkSDK {
           'Content-Type': 'application/x-www-form-urlencoded'
         },
         body: new URLSearchParams({ template }),
-        params: { _clerk_session_id: sessionId }
+        params: { _clerk_session_id: sessionId },
+        retry: true
       });
 
       const jwt = data.response.jwt;
       const decoded = this.decodeJWT(jwt);
       
+      const expiresAt = new Date(decoded.exp * 1000);
+      
       // Cache the token
       this.tokenCache.set(cacheKey, {
         jwt,
-        expiresAt: new Date(decoded.exp * 1000),
+        expiresAt,
         issuedAt: new Date(decoded.iat * 1000)
       });
 
+      // Keep the default token of the current session warm
+      if (!template && sessionId === this.session?.id && this.autoRefreshToken) {
+        this._scheduleTokenRefresh(expiresAt);
+      }
+
+      this.emit('tokenUpdated', { token: jwt, sessionId, template, expiresAt });
       return jwt;
     } catch (error) {
-      console.error('Failed to get token:', error);
+      this.logger.error('Failed to get token:', error);
       throw error;
     }
   }
 
+  // fetch() for your own backend: attaches the session token, retries once with a
+  // fresh token on 401, and signs out locally if the retry is rejected too or no fresh
+  // token can be had (resolves to the backend's 401 response in both cases)
+  async authenticatedFetch(input, init = {}, options = {}) {
+    const { template = '', authorizedOrigins = this.authorizedOrigins } = options;
+
+    const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+    const baseUrl = typeof window !== 'undefined' && window.location ? window.location.href : undefined;
+    const url = new URL(isRequest ? input.url : String(input), baseUrl);
+
+    if (!authorizedOrigins.includes(url.origin)) {
+      throw this.createError(
+        { message: `Refusing to send session token to unauthorized origin ${url.origin}` },
+        0,
+        'origin_not_authorized'
+      );
+    }
+
+    const send = async (token) => {
+      const headers = new Headers(init.headers || (isRequest ? input.headers : undefined));
+      headers.set('Authorization', `Bearer ${token}`);
+      // A Request body can only be read once, so every attempt gets its own copy
+      return this.fetch(isRequest ? input.clone() : input, { ...init, headers });
+    };
+
+    let response = await send(await this.getToken({ template }));
+    if (response.status !== 401) {
+      return response;
+    }
+
+    this.logger.debug('Backend returned 401, retrying with a fresh token');
+
+    let freshToken;
+    try {
+      freshToken = await this.getToken({ template, skipCache: true });
+    } catch (error) {
+      // The session itself is gone (revoked or ended elsewhere): same outcome as a second 401
+      if (error.status !== 401 && error.status !== 404) {
+        throw error;
+      }
+      this.logger.warn('Could not get a fresh session token, clearing session:', error);
+      this.emit('unauthorized', { url: url.toString(), status: response.status });
+      this.clearSession();
+      return response;
+    }
+
+    response = await send(freshToken);
+
+    if (response.status === 401) {
+      this.logger.warn('Backend rejected a fresh session token, clearing session');
+      this.emit('unauthorized', { url: url.toString(), status: response.status });
+      this.clearSession();
+    }
+
+    return response;
+  }
+
+  startTokenRefresh() {
+    if (!this.autoRefreshToken || !this.session) return;
+
+    // Pause while the tab is hidden; catch up as soon as it is visible again
+    if (!this.visibilityHandler && typeof document !== 'undefined') {
+      this.visibilityHandler = () => {
+        if (!document.hidden && this.session) {
+          this._resumeTokenRefresh();
+        }
+      };
+      document.addEventListener('visibilitychange', this.visibilityHandler);
+    }
+
+    this._resumeTokenRefresh();
+  }
+
+  stopTokenRefresh() {
+    if (this.tokenRefreshTimer) {
+      clearTimeout(this.tokenRefreshTimer);
+      this.tokenRefreshTimer = null;
+    }
+    if (this.visibilityHandler) {
+      document.removeEventListener('visibilitychange', this.visibilityHandler);
+      this.visibilityHandler = null;
+    }
+  }
+
+  _resumeTokenRefresh() {
+    const cached = this.tokenCache.get(`${this.session.id}-`);
+    if (cached) {
+      this._scheduleTokenRefresh(cached.expiresAt);
+    } else {
+      this._runTokenRefresh();
+    }
+  }
+
+  _scheduleTokenRefresh(expiresAt) {
+    if (this.tokenRefreshTimer) {
+      clearTimeout(this.tokenRefreshTimer);
+    }
+
+    const delay = Math.max(0, expiresAt.getTime() - Date.now() - this.tokenRefreshLeeway);
+    this.tokenRefreshTimer = setTimeout(() => this._runTokenRefresh(), delay);
+  }
+
+  async _runTokenRefresh() {
+    this.tokenRefreshTimer = null;
+    if (!this.session) return;
+
+    if (typeof document !== 'undefined' && document.hidden) {
+      this.logger.debug('Tab hidden, pausing token refresh');
+      return;
+    }
+
+    const sessionId = this.session.id;
+
+    try {
+      // Schedules the next refresh once the new token arrives
+      await this.getToken({ skipCache: true });
+      this.tokenRefreshFailures = 0;
+    } catch (error) {
+      if (this.session?.id !== sessionId) return;
+
+      // The session was ended elsewhere (signed out, revoked on another device)
+      if (error.status === 401 || error.status === 404) {
+        this.logger.warn('Session is no longer valid, clearing it:', error);
+        this.tokenRefreshFailures = 0;
+        this.clearSession();
+        return;
+      }
+
+      // Back off from 15s up to 5 minutes while the failures continue
+      this.tokenRefreshFailures++;
+      const delay = Math.min(15 * 1000 * 2 ** (this.tokenRefreshFailures - 1), 5 * 60 * 1000);
+      this.logger.warn(`Background token refresh failed, retrying in ${delay / 1000}s:`, error);
+      if (!this.tokenRefreshTimer) {
+        this.tokenRefreshTimer = setTimeout(() => this._runTokenRefresh(), delay);
+      }
+    }
+  }
+
   decodeJWT(token) {
     try {
+      // Client-side decode only; verify signatures on the server (see clerk-server.js)
       const parts = token.split('.');
-      const payload = JSON.parse(atob(parts[1]));
+      const payload = JSON.parse(new TextDecoder().decode(base64UrlToBuffer(parts[1])));
       return payload;
     } catch (error) {
       throw new Error('Invalid JWT token');
@@ -768,15 +1713,12 @@ class ClerkSDK {
       });
 
       // Update cached user data
-      this.user = data.response;
-      if (this.session) {
-        this.session.user = this.user;
-      }
+      this._setUser(data.response);
 
       this.emit('userUpdated', { user: this.user });
       return this.user;
     } catch (error) {
-      console.error('Failed to get user:', error);
+      this.logger.error('Failed to get user:', error);
       
       // If user fetch fails, might be session issue
       if (error.status === 401) {
@@ -796,19 +1738,52 @@ class ClerkSDK {
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
         },
-        body: new URLSearchParams(userData),
+        body: toFormBody(userData),
         params: { _clerk_session_id: this.session.id }
       });
 
-      this.user = data.response;
-      if (this.session) {
-        this.session.user = this.user;
-      }
+      this._setUser(data.response);
       
       this.emit('userUpdated', { user: this.user });
       return this.user;
     } catch (error) {
-      console.error('Failed to update user:', error);
+      this.logger.error('Failed to update user:', error);
+      throw error;
+    }
+  }
+
+  // Updates unsafe_metadata; by default deep-merges into the current value instead of replacing it
+  async updateUserMetadata(metadata, options = {}) {
+    if (!this.session) throw new Error('Authentication required');
+
+    const { merge = true } = options;
+    const unsafeMetadata = merge
+      ? mergeMetadata(this.user?.unsafe_metadata || {}, metadata)
+      : metadata;
+
+    return this.updateUser({ unsafe_metadata: unsafeMetadata });
+  }
+
+  // Permanently deletes the signed-in user's account
+  async deleteUser() {
+    if (!this.session) throw new Error('Authentication required');
+
+    const userId = this.user?.id;
+
+    try {
+      await this.apiCall('/me', {
+        method: 'DELETE',
+        params: { _clerk_session_id: this.session.id }
+      });
+
+      // Any other sessions of the deleted user on this client are gone too
+      this.clearSession();
+      this.sessions.filter(s => s.user?.id === userId).forEach(s => this.clearTokenCache(s.id));
+      this._setState({ sessions: this.sessions.filter(s => s.user?.id !== userId) });
+      this.emit('userDeleted', { userId });
+      this.logger.info('User account deleted');
+    } catch (error) {
+      this.logger.error('Failed to delete user:', error);
       throw error;
     }
   }
@@ -826,164 +1801,1609 @@ class ClerkSDK {
         params: { _clerk_session_id: this.session.id }
       });
 
-      this.user = data.response;
+      this._setUser(data.response);
       this.emit('userUpdated', { user: this.user });
       return this.user;
     } catch (error) {
-      console.error('Failed to upload profile image:', error);
+      this.logger.error('Failed to upload profile image:', error);
       throw error;
     }
   }
 
-  // =============================================================================
-  // ORGANIZATION MANAGEMENT
-  // =============================================================================
-
-  async createOrganization(name, slug) {
+  async updatePassword(params) {
     if (!this.session) throw new Error('Authentication required');
 
+    const { currentPassword, newPassword, signOutOfOtherSessions = false } = params;
+
     try {
-      const { data } = await this.apiCall('/organizations', {
+      const { data } = await this.apiCall('/me/change_password', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
         },
-        body: new URLSearchParams({ name, slug }),
+        body: new URLSearchParams({
+          ...(currentPassword && { current_password: currentPassword }),
+          new_password: newPassword,
+          sign_out_of_other_sessions: String(signOutOfOtherSessions)
+        }),
         params: { _clerk_session_id: this.session.id }
       });
 
-      const organization = data.response;
-      this.emit('organizationCreated', { organization });
-      return organization;
+      this._setUser(data.response);
+
+      this.emit('userUpdated', { user: this.user });
+      this.logger.info('Password updated');
+      return this.user;
     } catch (error) {
-      console.error('Failed to create organization:', error);
-      throw error;
+      this.logger.error('Failed to update password:', error);
+      throw this.explainPasswordError(error);
     }
   }
 
-  async listOrganizations() {
+  // Calls a /me sub-resource, then refreshes this.user so the user object,
+  // session and cache all show the change
+  async _meRequest(path, options = {}) {
+    if (!this.session) throw new Error('Authentication required');
+
+    const { method = 'POST', body } = options;
+
+    const { data } = await this.apiCall(`/me${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      ...(body && { body: new URLSearchParams(body) }),
+      params: { _clerk_session_id: this.session.id }
+    });
+
+    await this.getUser();
+    return data.response;
+  }
+
+  // =============================================================================
+  // ACTIVE DEVICES
+  // =============================================================================
+
+  // Every active session of the user on any device, each with its latest_activity
+  // (device_type, browser_name, browser_version, ip_address, city, country, is_mobile)
+  async getUserSessions() {
     if (!this.session) throw new Error('Authentication required');
 
     try {
-      const { data } = await this.apiCall('/organizations', {
+      const { data } = await this.apiCall('/me/sessions/active', {
         params: { _clerk_session_id: this.session.id }
       });
 
-      return data.response;
+      return (data.response || []).map(session => attachSessionResource(this, {
+        ...session,
+        isCurrent: session.id === this.session?.id
+      }));
     } catch (error) {
-      console.error('Failed to list organizations:', error);
+      this.logger.error('Failed to list user sessions:', error);
       throw error;
     }
   }
 
-  async setActiveOrganization(organizationId) {
+  // Ends a session on another device. The current session is ended with signOut().
+  async revokeSession(sessionId) {
     if (!this.session) throw new Error('Authentication required');
 
+    if (sessionId === this.session.id) {
+      throw new Error('Cannot revoke the current session, use signOut() instead');
+    }
+
     try {
-      const { data } = await this.apiCall(`/client/sessions/${this.session.id}/touch`, {
+      const { data } = await this.apiCall(`/me/sessions/${sessionId}/revoke`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        body: new URLSearchParams({ active_organization_id: organizationId }),
         params: { _clerk_session_id: this.session.id }
       });
 
-      // Update current session with new organization
-      const updatedSession = data.response;
-      this.setSession(updatedSession);
-      
-      return this.organization;
+      // The revoked session may also be signed in on this client
+      this._forgetSession(sessionId);
+
+      const session = data.response;
+      this.emit('sessionRevoked', { session });
+      this.logger.info('Session revoked:', sessionId);
+      return session;
     } catch (error) {
-      console.error('Failed to set active organization:', error);
+      this.logger.error('Failed to revoke session:', error);
       throw error;
     }
   }
 
   // =============================================================================
-  // UTILITY METHODS
+  // CONNECTED ACCOUNTS
   // =============================================================================
 
-  get isLoaded() {
-    return this.loaded;
-  }
+  // Connects an OAuth provider to the signed-in user; redirects the browser to the provider
+  async createExternalAccount(params) {
+    if (!this.session) throw new Error('Authentication required');
 
-  get isSignedIn() {
-    return !!this.session && this.session.status === 'active';
-  }
+    const { strategy, redirectUrl, redirectUrlComplete, additionalScopes } = params;
 
-  get isSignedOut() {
-    return !this.isSignedIn;
-  }
+    if (!strategy || !strategy.startsWith('oauth_')) {
+      throw new Error('createExternalAccount requires an oauth_* strategy');
+    }
+    if (!redirectUrl) {
+      throw new Error('redirectUrl is required');
+    }
 
-  // Helper method to get current user info
-  getCurrentUser() {
-    return this.user;
+    try {
+      const { data } = await this.apiCall('/me/external_accounts', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+          strategy,
+          redirect_url: redirectUrl,
+          ...(additionalScopes?.length && { additional_scope: additionalScopes.join(',') })
+        }),
+        params: { _clerk_session_id: this.session.id }
+      });
+
+      return await this._redirectToExternalAccountProvider(data.response, redirectUrlComplete);
+    } catch (error) {
+      this.logger.error('Failed to connect external account:', error);
+      throw error;
+    }
+  }
+
+  // Asks the provider again, e.g. to grant extra scopes; redirects the browser
+  async reauthorizeExternalAccount(externalAccountId, params = {}) {
+    if (!this.session) throw new Error('Authentication required');
+
+    const { additionalScopes, redirectUrl = window.location.href, redirectUrlComplete } = params;
+
+    try {
+      const { data } = await this.apiCall(`/me/external_accounts/${externalAccountId}/reauthorize`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+          redirect_url: redirectUrl,
+          ...(additionalScopes?.length && { additional_scope: additionalScopes.join(',') })
+        }),
+        params: { _clerk_session_id: this.session.id }
+      });
+
+      return await this._redirectToExternalAccountProvider(data.response, redirectUrlComplete);
+    } catch (error) {
+      this.logger.error('Failed to reauthorize external account:', error);
+      throw error;
+    }
+  }
+
+  async destroyExternalAccount(externalAccountId) {
+    try {
+      return await this._meRequest(`/external_accounts/${externalAccountId}`, { method: 'DELETE' });
+    } catch (error) {
+      this.logger.error('Failed to disconnect external account:', error);
+      throw error;
+    }
+  }
+
+  async _redirectToExternalAccountProvider(externalAccount, redirectUrlComplete) {
+    const externalUrl = externalAccount.verification?.external_verification_redirect_url;
+    if (!externalUrl) {
+      throw new Error('No provider redirect URL returned for external account');
+    }
+
+    await this._markRedirectPending('external_account', redirectUrlComplete, {
+      externalAccountId: externalAccount.id
+    });
+    this.logger.debug('Redirecting to OAuth provider to connect account:', externalAccount.provider);
+    window.location.assign(externalUrl);
+
+    return externalAccount;
+  }
+
+  // Return trip from createExternalAccount/reauthorizeExternalAccount (runs from handleRedirectCallback)
+  async _completeExternalAccountRedirect(externalAccountId, navigate, redirectUrlComplete) {
+    try {
+      if (!this.session) {
+        await this.restoreSession();
+      }
+      if (!this.session) {
+        throw new Error('Returned from connecting an account without an active session');
+      }
+
+      // Refreshes this.user and emits userUpdated
+      await this.getUser();
+
+      const externalAccount = this.user?.external_accounts?.find(a => a.id === externalAccountId) || null;
+      const verification = externalAccount?.verification;
+
+      if (verification?.error) {
+        throw this.createError({ errors: [verification.error] }, 422);
+      }
+
+      const status = verification?.status === 'verified' ? 'complete' : verification?.status || 'unknown';
+      this.logger.info('External account redirect finished:', status);
+
+      if (status === 'complete' && navigate && redirectUrlComplete && typeof window !== 'undefined') {
+        window.location.assign(redirectUrlComplete);
+      }
+
+      return { status, externalAccount, session: this.session };
+    } catch (error) {
+      this.logger.error('Failed to complete external account connection:', error);
+      throw error;
+    }
+  }
+
+  // =============================================================================
+  // TWO-FACTOR AUTHENTICATION
+  // =============================================================================
+
+  // Returns { id, secret, uri }: show uri as a QR code (otpauth://...) or the secret for manual entry
+  async createTOTP() {
+    try {
+      return await this._meRequest('/totp');
+    } catch (error) {
+      this.logger.error('Failed to create TOTP:', error);
+      throw error;
+    }
+  }
+
+  // Confirms enrollment with a code from the authenticator app; the first
+  // verification also returns backup_codes to show the user once
+  async verifyTOTP(code) {
+    try {
+      return await this._meRequest('/totp/attempt_verification', {
+        body: { code }
+      });
+    } catch (error) {
+      this.logger.error('Failed to verify TOTP:', error);
+      throw error;
+    }
+  }
+
+  async disableTOTP() {
+    try {
+      return await this._meRequest('/totp', { method: 'DELETE' });
+    } catch (error) {
+      this.logger.error('Failed to disable TOTP:', error);
+      throw error;
+    }
+  }
+
+  // Generates a new set of backup codes, invalidating any previous ones
+  async createBackupCode() {
+    try {
+      return await this._meRequest('/backup_codes');
+    } catch (error) {
+      this.logger.error('Failed to create backup codes:', error);
+      throw error;
+    }
+  }
+
+  // =============================================================================
+  // EMAIL ADDRESSES & PHONE NUMBERS
+  // =============================================================================
+
+  async createEmailAddress(emailAddress) {
+    try {
+      return await this._meRequest('/email_addresses', {
+        body: { email_address: emailAddress }
+      });
+    } catch (error) {
+      this.logger.error('Failed to create email address:', error);
+      throw error;
+    }
+  }
+
+  // strategy: 'email_code' (default) or 'email_link' with redirectUrl
+  async prepareEmailAddressVerification(emailAddressId, options = {}) {
+    const { strategy = 'email_code', redirectUrl } = options;
+
+    try {
+      return await this._meRequest(`/email_addresses/${emailAddressId}/prepare_verification`, {
+        body: { strategy, ...(redirectUrl && { redirect_url: redirectUrl }) }
+      });
+    } catch (error) {
+      this.logger.error('Failed to prepare email address verification:', error);
+      throw error;
+    }
+  }
+
+  async attemptEmailAddressVerification(emailAddressId, code) {
+    try {
+      return await this._meRequest(`/email_addresses/${emailAddressId}/attempt_verification`, {
+        body: { code }
+      });
+    } catch (error) {
+      this.logger.error('Failed to verify email address:', error);
+      throw error;
+    }
+  }
+
+  async setPrimaryEmailAddress(emailAddressId) {
+    return this.updateUser({ primary_email_address_id: emailAddressId });
+  }
+
+  async destroyEmailAddress(emailAddressId) {
+    try {
+      return await this._meRequest(`/email_addresses/${emailAddressId}`, {
+        method: 'DELETE'
+      });
+    } catch (error) {
+      this.logger.error('Failed to delete email address:', error);
+      throw error;
+    }
+  }
+
+  async createPhoneNumber(phoneNumber) {
+    try {
+      return await this._meRequest('/phone_numbers', {
+        body: { phone_number: phoneNumber }
+      });
+    } catch (error) {
+      this.logger.error('Failed to create phone number:', error);
+      throw error;
+    }
+  }
+
+  async preparePhoneNumberVerification(phoneNumberId) {
+    try {
+      return await this._meRequest(`/phone_numbers/${phoneNumberId}/prepare_verification`, {
+        body: { strategy: 'phone_code' }
+      });
+    } catch (error) {
+      this.logger.error('Failed to prepare phone number verification:', error);
+      throw error;
+    }
+  }
+
+  async attemptPhoneNumberVerification(phoneNumberId, code) {
+    try {
+      return await this._meRequest(`/phone_numbers/${phoneNumberId}/attempt_verification`, {
+        body: { code }
+      });
+    } catch (error) {
+      this.logger.error('Failed to verify phone number:', error);
+      throw error;
+    }
+  }
+
+  async setPrimaryPhoneNumber(phoneNumberId) {
+    return this.updateUser({ primary_phone_number_id: phoneNumberId });
+  }
+
+  async destroyPhoneNumber(phoneNumberId) {
+    try {
+      return await this._meRequest(`/phone_numbers/${phoneNumberId}`, {
+        method: 'DELETE'
+      });
+    } catch (error) {
+      this.logger.error('Failed to delete phone number:', error);
+      throw error;
+    }
+  }
+
+  // =============================================================================
+  // PASSKEY MANAGEMENT
+  // =============================================================================
+
+  isPasskeySupported() {
+    return typeof window !== 'undefined' &&
+           typeof window.PublicKeyCredential !== 'undefined' &&
+           typeof navigator !== 'undefined' &&
+           !!navigator.credentials;
+  }
+
+  async isPasskeyAutofillSupported() {
+    if (!this.isPasskeySupported()) return false;
+    if (typeof window.PublicKeyCredential.isConditionalMediationAvailable !== 'function') return false;
+
+    try {
+      return await window.PublicKeyCredential.isConditionalMediationAvailable();
+    } catch {
+      return false;
+    }
+  }
+
+  async createPasskey() {
+    if (!this.session) throw new Error('Authentication required');
+    if (!this.isPasskeySupported()) {
+      throw this.createError({ message: 'Passkeys are not supported in this browser' }, 0, 'passkey_not_supported');
+    }
+
+    try {
+      // Step 1: Ask Clerk for a passkey registration challenge
+      const { data } = await this.apiCall('/me/passkeys', {
+        method: 'POST',
+        params: { _clerk_session_id: this.session.id }
+      });
+
+      const passkey = data.response;
+      const nonce = passkey.verification?.nonce;
+      if (!nonce) {
+        throw new Error('No passkey registration options returned');
+      }
+
+      // Step 2: Let the authenticator create the credential
+      let credential;
+      try {
+        credential = await navigator.credentials.create({
+          publicKey: convertPasskeyCreationOptions(JSON.parse(nonce))
+        });
+      } catch (error) {
+        throw passkeyError(this, error);
+      }
+
+      if (!credential) {
+        throw this.createError({ message: 'No passkey credential was created' }, 0, 'passkey_registration_failed');
+      }
+
+      // Step 3: Send the attestation back for verification
+      const { data: verified } = await this.apiCall(`/me/passkeys/${passkey.id}/attempt_verification`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+          strategy: 'passkey',
+          public_key_credential: JSON.stringify(serializePublicKeyCredential(credential))
+        }),
+        params: { _clerk_session_id: this.session.id }
+      });
+
+      // Refresh the user so user.passkeys includes the new one
+      await this.getUser();
+
+      this.emit('passkeyCreated', { passkey: verified.response });
+      this.logger.info('Passkey created');
+      return verified.response;
+    } catch (error) {
+      this.logger.error('Failed to create passkey:', error);
+      throw error;
+    }
+  }
+
+  // =============================================================================
+  // ORGANIZATION MANAGEMENT
+  // =============================================================================
+
+  async createOrganization(name, slug) {
+    if (!this.session) throw new Error('Authentication required');
+
+    try {
+      const { data } = await this.apiCall('/organizations', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ name, slug }),
+        params: { _clerk_session_id: this.session.id }
+      });
+
+      const organization = data.response;
+      this.emit('organizationCreated', { organization });
+      return organization;
+    } catch (error) {
+      this.logger.error('Failed to create organization:', error);
+      throw error;
+    }
+  }
+
+  async listOrganizations() {
+    if (!this.session) throw new Error('Authentication required');
+
+    try {
+      const { data } = await this.apiCall('/organizations', {
+        params: { _clerk_session_id: this.session.id }
+      });
+
+      return data.response;
+    } catch (error) {
+      this.logger.error('Failed to list organizations:', error);
+      throw error;
+    }
+  }
+
+  async setActiveOrganization(organizationId) {
+    if (!this.session) throw new Error('Authentication required');
+
+    try {
+      const { data } = await this.apiCall(`/client/sessions/${this.session.id}/touch`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ active_organization_id: organizationId }),
+        params: { _clerk_session_id: this.session.id }
+      });
+
+      // Update current session with new organization
+      const updatedSession = data.response;
+      await this.setSession(updatedSession);
+      this.emit('organizationChanged', { organization: this.organization });
+      
+      return this.organization;
+    } catch (error) {
+      this.logger.error('Failed to set active organization:', error);
+      throw error;
+    }
+  }
+
+  // =============================================================================
+  // ORGANIZATION MEMBERS & INVITATIONS
+  // =============================================================================
+
+  _activeOrganizationId(organizationId) {
+    const id = organizationId || this.organization?.id || this.session?.last_active_organization_id;
+    if (!id) throw new Error('No active organization');
+    return id;
+  }
+
+  // Paginated list endpoints answer { data, total_count }
+  async _fetchPage(path, options = {}) {
+    const { limit = 10, offset = 0, ...filters } = options;
+
+    const { data } = await this.apiCall(path, {
+      params: {
+        ...filters,
+        paginated: true,
+        limit,
+        offset,
+        _clerk_session_id: this.session.id
+      }
+    });
+
+    const page = data.response || data;
+    const items = Array.isArray(page) ? page : page.data || [];
+    return {
+      data: items,
+      totalCount: page.total_count ?? items.length,
+      limit,
+      offset
+    };
+  }
+
+  async _organizationRequest(path, method, body) {
+    const { data } = await this.apiCall(path, {
+      method,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      ...(body && { body }),
+      params: { _clerk_session_id: this.session.id }
+    });
+    return data.response;
+  }
+
+  async getOrganizationMemberships(options = {}) {
+    if (!this.session) throw new Error('Authentication required');
+
+    const { organizationId, role, ...pagination } = options;
+
+    try {
+      return await this._fetchPage(
+        `/organizations/${this._activeOrganizationId(organizationId)}/memberships`,
+        { ...pagination, ...(role && { role }) }
+      );
+    } catch (error) {
+      this.logger.error('Failed to list organization memberships:', error);
+      throw error;
+    }
+  }
+
+  async updateOrganizationMembership(userId, role, options = {}) {
+    if (!this.session) throw new Error('Authentication required');
+
+    const organizationId = this._activeOrganizationId(options.organizationId);
+
+    try {
+      const membership = await this._organizationRequest(
+        `/organizations/${organizationId}/memberships/${userId}`,
+        'PATCH',
+        new URLSearchParams({ role })
+      );
+
+      this.emit('organizationMembershipUpdated', { organizationId, membership });
+      return membership;
+    } catch (error) {
+      this.logger.error('Failed to update organization membership:', error);
+      throw error;
+    }
+  }
+
+  async removeOrganizationMember(userId, options = {}) {
+    if (!this.session) throw new Error('Authentication required');
+
+    const organizationId = this._activeOrganizationId(options.organizationId);
+
+    try {
+      const membership = await this._organizationRequest(
+        `/organizations/${organizationId}/memberships/${userId}`,
+        'DELETE'
+      );
+
+      this.emit('organizationMemberRemoved', { organizationId, userId, membership });
+      return membership;
+    } catch (error) {
+      this.logger.error('Failed to remove organization member:', error);
+      throw error;
+    }
+  }
+
+  // Accepts one email address or an array of them
+  async inviteOrganizationMembers(emailAddresses, role, options = {}) {
+    if (!this.session) throw new Error('Authentication required');
+
+    const organizationId = this._activeOrganizationId(options.organizationId);
+    const emails = Array.isArray(emailAddresses) ? emailAddresses : [emailAddresses];
+
+    try {
+      const body = new URLSearchParams({ role });
+      emails.forEach(email => body.append('email_address', email));
+
+      const invitations = await this._organizationRequest(
+        `/organizations/${organizationId}/invitations/bulk`,
+        'POST',
+        body
+      );
+
+      this.emit('organizationInvitationCreated', { organizationId, invitations });
+      return invitations;
+    } catch (error) {
+      this.logger.error('Failed to invite organization members:', error);
+      throw error;
+    }
+  }
+
+  async getOrganizationInvitations(options = {}) {
+    if (!this.session) throw new Error('Authentication required');
+
+    const { organizationId, status = 'pending', ...pagination } = options;
+
+    try {
+      return await this._fetchPage(
+        `/organizations/${this._activeOrganizationId(organizationId)}/invitations`,
+        { ...pagination, status }
+      );
+    } catch (error) {
+      this.logger.error('Failed to list organization invitations:', error);
+      throw error;
+    }
+  }
+
+  async revokeOrganizationInvitation(invitationId, options = {}) {
+    if (!this.session) throw new Error('Authentication required');
+
+    const organizationId = this._activeOrganizationId(options.organizationId);
+
+    try {
+      const invitation = await this._organizationRequest(
+        `/organizations/${organizationId}/invitations/${invitationId}/revoke`,
+        'POST'
+      );
+
+      this.emit('organizationInvitationRevoked', { organizationId, invitation });
+      return invitation;
+    } catch (error) {
+      this.logger.error('Failed to revoke organization invitation:', error);
+      throw error;
+    }
+  }
+
+  // Invitations and suggestions addressed to the signed-in user
+
+  // The API has no decline endpoint; declined items are hidden on this device only
+  async _dismissedOrganizationItems() {
+    return (await this.storage.get(this.storageKey('clerk_dismissed_org_items'))) || [];
+  }
+
+  async _dismissOrganizationItem(id) {
+    const dismissed = await this._dismissedOrganizationItems();
+    if (!dismissed.includes(id)) {
+      await this.storage.set(this.storageKey('clerk_dismissed_org_items'), [...dismissed, id]);
+    }
+  }
+
+  async _withoutDismissed(page) {
+    const dismissed = await this._dismissedOrganizationItems();
+    const data = page.data.filter(item => !dismissed.includes(item.id));
+    return { ...page, data, totalCount: page.totalCount - (page.data.length - data.length) };
+  }
+
+  async getUserOrganizationInvitations(options = {}) {
+    if (!this.session) throw new Error('Authentication required');
+
+    const { status = 'pending', ...pagination } = options;
+
+    try {
+      const page = await this._fetchPage('/me/organization_invitations', { ...pagination, status });
+      return this._withoutDismissed(page);
+    } catch (error) {
+      this.logger.error('Failed to list organization invitations:', error);
+      throw error;
+    }
+  }
+
+  async acceptOrganizationInvitation(invitationId) {
+    if (!this.session) throw new Error('Authentication required');
+
+    try {
+      const invitation = await this._organizationRequest(
+        `/me/organization_invitations/${invitationId}/accept`,
+        'POST'
+      );
+
+      // Refresh the user so organization_memberships includes the new organization
+      await this.getUser();
+
+      this.emit('organizationInvitationAccepted', { invitation });
+      return invitation;
+    } catch (error) {
+      this.logger.error('Failed to accept organization invitation:', error);
+      throw error;
+    }
+  }
+
+  async declineOrganizationInvitation(invitationId) {
+    await this._dismissOrganizationItem(invitationId);
+    this.emit('organizationInvitationDeclined', { invitationId });
+  }
+
+  async getOrganizationSuggestions(options = {}) {
+    if (!this.session) throw new Error('Authentication required');
+
+    const { status = 'pending', ...pagination } = options;
+
+    try {
+      const page = await this._fetchPage('/me/organization_suggestions', { ...pagination, status });
+      return this._withoutDismissed(page);
+    } catch (error) {
+      this.logger.error('Failed to list organization suggestions:', error);
+      throw error;
+    }
+  }
+
+  async acceptOrganizationSuggestion(suggestionId) {
+    if (!this.session) throw new Error('Authentication required');
+
+    try {
+      const suggestion = await this._organizationRequest(
+        `/me/organization_suggestions/${suggestionId}/accept`,
+        'POST'
+      );
+
+      this.emit('organizationSuggestionAccepted', { suggestion });
+      return suggestion;
+    } catch (error) {
+      this.logger.error('Failed to accept organization suggestion:', error);
+      throw error;
+    }
+  }
+
+  async declineOrganizationSuggestion(suggestionId) {
+    await this._dismissOrganizationItem(suggestionId);
+    this.emit('organizationSuggestionDeclined', { suggestionId });
+  }
+
+  // =============================================================================
+  // UTILITY METHODS
+  // =============================================================================
+
+  // Fails fast when a strategy is switched off for this instance. kind is
+  // 'first_factor', 'second_factor' or 'verification'. Skipped until the environment is loaded.
+  assertStrategyEnabled(kind, strategy) {
+    if (!this.userSettings?.available) return;
+
+    const enabled = {
+      first_factor: this.userSettings.firstFactors,
+      second_factor: this.userSettings.secondFactors,
+      verification: this.userSettings.verificationStrategies
+    }[kind];
+
+    if (!enabled.includes(strategy)) {
+      const label = kind.replace('_', ' ');
+      throw this.createError(
+        { message: `The ${strategy} ${label} strategy is not enabled for this instance. Enabled: ${enabled.join(', ') || 'none'}` },
+        0,
+        'strategy_not_enabled'
+      );
+    }
+  }
+
+  // Fails fast when sign-up params include an attribute that is switched off
+  assertSignUpParamsAllowed(params) {
+    if (!this.userSettings?.available) return;
+
+    const attributes = this.userSettings.attributes;
+    Object.keys(params).forEach(key => {
+      const attribute = attributes[key];
+      if (attribute && !attribute.enabled) {
+        throw this.createError(
+          { message: `${key} is not enabled for sign-up on this instance` },
+          0,
+          'attribute_not_enabled'
+        );
+      }
+    });
+  }
+
+  get isLoaded() {
+    return this.loaded;
+  }
+
+  // =============================================================================
+  // STATE STORE
+  // =============================================================================
+
+  // Listener is called with the new snapshot after every state change; returns an unsubscribe function.
+  // subscribe and getSnapshot are bound, so they can be passed straight to React's useSyncExternalStore.
+  subscribe(listener) {
+    this.stateListeners.add(listener);
+    return () => {
+      this.stateListeners.delete(listener);
+    };
+  }
+
+  // Same object until the state changes
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  _createSnapshot() {
+    const membership = this.user?.organization_memberships?.find(m => m.organization?.id === this.organization?.id);
+
+    return Object.freeze({
+      isLoaded: this.loaded,
+      isSignedIn: this.isSignedIn,
+      user: this.user,
+      session: this.session,
+      sessions: Object.freeze([...this.sessions]),
+      organization: this.organization,
+      userId: this.user?.id || null,
+      sessionId: this.session?.id || null,
+      orgId: this.organization?.id || null,
+      orgRole: membership?.role || null
+    });
+  }
+
+  // Treat state objects as immutable: pass replacements rather than mutating them in place
+  _setState(changes) {
+    if (changes.user) {
+      attachUserResources(this, changes.user);
+    }
+    Object.assign(this, changes);
+    this.snapshot = this._createSnapshot();
+
+    this.stateListeners.forEach(listener => {
+      try {
+        listener(this.snapshot);
+      } catch (error) {
+        this.logger.error('State listener error:', error);
+      }
+    });
+  }
+
+  get isSignedIn() {
+    return !!this.session && this.session.status === 'active';
+  }
+
+  get isSignedOut() {
+    return !this.isSignedIn;
+  }
+
+  // Helper method to get current user info
+  getCurrentUser() {
+    return this.user;
+  }
+
+  // Check if user data is available
+  hasUser() {
+    return !!this.user;
+  }
+
+  // Event system
+  addListener(event, callback) {
+    this.listeners.push({ event, callback });
+    return () => {
+      this.listeners = this.listeners.filter(l => l.callback !== callback);
+    };
+  }
+
+  emit(event, data) {
+    this.listeners
+      .filter(l => l.event === event)
+      .forEach(l => {
+        try {
+          l.callback(data);
+        } catch (error) {
+          this.logger.error('Event listener error:', error);
+        }
+      });
+    
+    if (TAB_SYNC_EVENTS.includes(event)) {
+      this._broadcastTabMessage(event, data);
+    }
+  }
+
+  // Debugging helpers (logged at info level, with the usual redaction)
+  async debugSession() {
+    const info = {
+      session: this.session,
+      user: this.user,
+      organization: this.organization
+    };
+    
+    if (this.session) {
+      info.validation = await this.validateSession();
+    }
+    
+    this.logger.info('Session debug info', info);
+  }
+
+  async debugClient() {
+    try {
+      const { data } = await this.apiCall('/client');
+      const client = data.response;
+      
+      this.logger.info('Client debug info', {
+        clientId: client.id,
+        totalSessions: client.sessions.length,
+        activeSessions: client.sessions.filter(s => s.status === 'active').length,
+        lastActiveSessionId: client.last_active_session_id,
+        sessions: client.sessions.map(s => ({
+          id: s.id,
+          status: s.status,
+          userEmail: s.user?.email_addresses?.[0]?.email_address,
+          expiresAt: new Date(s.expire_at).toLocaleString()
+        }))
+      });
+    } catch (error) {
+      this.logger.error('Failed to get client debug info:', error);
+    }
+  }
+}
+
+// =============================================================================
+// REQUEST HELPERS
+// =============================================================================
+
+// URLSearchParams turns nested objects into "[object Object]"; send them as JSON strings instead
+function toFormBody(values) {
+  const body = new URLSearchParams();
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === undefined) return;
+    body.set(key, value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+  });
+  return body;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge for metadata; a null value removes the key
+function mergeMetadata(current, changes) {
+  const merged = { ...current };
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === null) {
+      delete merged[key];
+    } else if (isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = mergeMetadata(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+// =============================================================================
+// RESOURCE WRAPPERS
+// =============================================================================
+
+// clerk.user and the objects inside it stay plain API JSON. These non-enumerable methods add
+// the resource-style API (user.createPasskey(), emailAddress.setPrimary(), session.revoke())
+// on top of the flat ClerkSDK methods without changing what is cached, logged or synced.
+function defineMethods(target, methods) {
+  Object.entries(methods).forEach(([name, method]) => {
+    Object.defineProperty(target, name, { value: method, enumerable: false, configurable: true, writable: true });
+  });
+  return target;
+}
+
+function attachEmailAddressResource(sdk, emailAddress) {
+  if (!isPlainObject(emailAddress) || Object.isFrozen(emailAddress)) return emailAddress;
+
+  return defineMethods(emailAddress, {
+    prepareVerification: (options) => sdk.prepareEmailAddressVerification(emailAddress.id, options),
+    attemptVerification: ({ code }) => sdk.attemptEmailAddressVerification(emailAddress.id, code),
+    setPrimary: () => sdk.setPrimaryEmailAddress(emailAddress.id),
+    destroy: () => sdk.destroyEmailAddress(emailAddress.id)
+  });
+}
+
+function attachPhoneNumberResource(sdk, phoneNumber) {
+  if (!isPlainObject(phoneNumber) || Object.isFrozen(phoneNumber)) return phoneNumber;
+
+  return defineMethods(phoneNumber, {
+    prepareVerification: () => sdk.preparePhoneNumberVerification(phoneNumber.id),
+    attemptVerification: ({ code }) => sdk.attemptPhoneNumberVerification(phoneNumber.id, code),
+    setPrimary: () => sdk.setPrimaryPhoneNumber(phoneNumber.id),
+    destroy: () => sdk.destroyPhoneNumber(phoneNumber.id)
+  });
+}
+
+function attachExternalAccountResource(sdk, externalAccount) {
+  if (!isPlainObject(externalAccount) || Object.isFrozen(externalAccount)) return externalAccount;
+
+  return defineMethods(externalAccount, {
+    reauthorize: (params) => sdk.reauthorizeExternalAccount(externalAccount.id, params),
+    destroy: () => sdk.destroyExternalAccount(externalAccount.id)
+  });
+}
+
+function attachSessionResource(sdk, session) {
+  return defineMethods(session, {
+    revoke: () => sdk.revokeSession(session.id)
+  });
+}
+
+function attachUserResources(sdk, user) {
+  if (!isPlainObject(user) || Object.isFrozen(user)) return user;
+
+  (user.email_addresses || []).forEach(emailAddress => attachEmailAddressResource(sdk, emailAddress));
+  (user.phone_numbers || []).forEach(phoneNumber => attachPhoneNumberResource(sdk, phoneNumber));
+  (user.external_accounts || []).forEach(externalAccount => attachExternalAccountResource(sdk, externalAccount));
+
+  return defineMethods(user, {
+    update: (params) => sdk.updateUser(params),
+    updateMetadata: (metadata, options) => sdk.updateUserMetadata(metadata, options),
+    delete: () => sdk.deleteUser(),
+    updatePassword: (params) => sdk.updatePassword(params),
+    createEmailAddress: async ({ email }) => attachEmailAddressResource(sdk, await sdk.createEmailAddress(email)),
+    createPhoneNumber: async ({ phoneNumber }) => attachPhoneNumberResource(sdk, await sdk.createPhoneNumber(phoneNumber)),
+    createExternalAccount: (params) => sdk.createExternalAccount(params),
+    createPasskey: () => sdk.createPasskey(),
+    createTOTP: () => sdk.createTOTP(),
+    verifyTOTP: (code) => sdk.verifyTOTP(code),
+    disableTOTP: () => sdk.disableTOTP(),
+    createBackupCode: () => sdk.createBackupCode(),
+    getSessions: () => sdk.getUserSessions()
+  });
+}
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+// Common error codes; match against error.code or fieldErrors[param].code
+const ClerkErrorCodes = {
+  // Returned by the Frontend API
+  FORM_IDENTIFIER_NOT_FOUND: 'form_identifier_not_found',
+  FORM_IDENTIFIER_EXISTS: 'form_identifier_exists',
+  FORM_PASSWORD_INCORRECT: 'form_password_incorrect',
+  FORM_PASSWORD_PWNED: 'form_password_pwned',
+  FORM_PASSWORD_LENGTH_TOO_SHORT: 'form_password_length_too_short',
+  FORM_PASSWORD_NOT_STRONG_ENOUGH: 'form_password_not_strong_enough',
+  FORM_PASSWORD_VALIDATION_FAILED: 'form_password_validation_failed',
+  FORM_CODE_INCORRECT: 'form_code_incorrect',
+  FORM_PARAM_MISSING: 'form_param_missing',
+  FORM_PARAM_FORMAT_INVALID: 'form_param_format_invalid',
+  FORM_USERNAME_INVALID_CHARACTER: 'form_username_invalid_character',
+  VERIFICATION_EXPIRED: 'verification_expired',
+  VERIFICATION_FAILED: 'verification_failed',
+  STRATEGY_FOR_USER_INVALID: 'strategy_for_user_invalid',
+  SESSION_EXISTS: 'session_exists',
+  IDENTIFIER_ALREADY_SIGNED_IN: 'identifier_already_signed_in',
+  NOT_ALLOWED_ACCESS: 'not_allowed_access',
+  DEV_BROWSER_UNAUTHENTICATED: 'dev_browser_unauthenticated',
+  // Raised by the SDK
+  NETWORK_ERROR: 'network_error',
+  RATE_LIMITED: 'rate_limited',
+  STRATEGY_NOT_ENABLED: 'strategy_not_enabled',
+  ATTRIBUTE_NOT_ENABLED: 'attribute_not_enabled',
+  ORIGIN_NOT_AUTHORIZED: 'origin_not_authorized',
+  VERIFICATION_TIMEOUT: 'verification_timeout',
+  PASSKEY_NOT_SUPPORTED: 'passkey_not_supported',
+  PASSKEY_CANCELLED: 'passkey_cancelled'
+};
+
+// Base class; every error the SDK raises carries code and status
+class ClerkError extends Error {
+  constructor(message, { code, status = 0, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ClerkError';
+    this.code = code;
+    this.status = status;
+    this.errors = [];
+    this.timestamp = new Date();
+  }
+}
+
+// The Frontend API answered with an error response
+class ClerkAPIError extends ClerkError {
+  constructor(data, status, defaultCode = 'api_error') {
+    const errors = data.errors || [];
+    const primaryError = errors[0] || {};
+
+    super(primaryError.long_message || primaryError.message || data.message || 'Unknown error', {
+      code: primaryError.code || defaultCode,
+      status
+    });
+    this.name = 'ClerkAPIError';
+    this.errors = errors;
+    this.clerkTraceId = data.clerk_trace_id || null;
+
+    // First error per form input, keyed by meta.param_name (e.g. "password", "email_address")
+    this.fieldErrors = {};
+    errors.forEach(error => {
+      const param = error.meta?.param_name;
+      if (param && !this.fieldErrors[param]) {
+        this.fieldErrors[param] = {
+          code: error.code,
+          message: error.message,
+          longMessage: error.long_message || error.message
+        };
+      }
+    });
+  }
+
+  getFieldError(param) {
+    return this.fieldErrors[param] || null;
+  }
+}
+
+// The request never got an answer (offline, DNS, CORS, aborted)
+class ClerkNetworkError extends ClerkError {
+  constructor(message, { cause } = {}) {
+    super(message, { code: ClerkErrorCodes.NETWORK_ERROR, cause });
+    this.name = 'ClerkNetworkError';
+  }
+}
+
+// Raised by the SDK before or instead of a request (disabled strategy, cancelled passkey, timeout)
+class ClerkRuntimeError extends ClerkError {
+  constructor(message, { code = 'clerk_runtime_error', cause } = {}) {
+    super(message, { code, cause });
+    this.name = 'ClerkRuntimeError';
+  }
+}
+
+// Name check covers errors from another copy of the SDK, where instanceof fails
+function isClerkAPIResponseError(error) {
+  return error instanceof ClerkAPIError || (error?.name === 'ClerkAPIError' && Array.isArray(error.errors));
+}
+
+// =============================================================================
+// ENVIRONMENT SETTINGS
+// =============================================================================
+
+// Read-only view of environment.user_settings (plus organization settings)
+// describing what this instance allows
+class UserSettings {
+  constructor(environment = {}) {
+    const userSettings = environment.user_settings || {};
+
+    this.raw = userSettings;
+    this.attributes = userSettings.attributes || {};
+    // Without attributes there is nothing to validate against
+    this.available = Object.keys(this.attributes).length > 0;
+    this.social = userSettings.social || {};
+    this.organizationSettings = environment.organization_settings || {};
+
+    const attribute = (name) => this.attributes[name] || {};
+
+    // Identifiers users can sign in with
+    this.identifiers = ['email_address', 'phone_number', 'username', 'web3_wallet']
+      .filter(name => attribute(name).enabled && attribute(name).used_for_first_factor);
+
+    this.socialProviders = Object.values(this.social)
+      .filter(provider => provider.enabled)
+      .map(provider => provider.strategy);
+
+    const firstFactors = new Set();
+    Object.values(this.attributes).forEach(attr => {
+      if (attr.enabled && attr.used_for_first_factor) {
+        (attr.first_factors || []).forEach(strategy => firstFactors.add(strategy));
+      }
+    });
+    if (attribute('password').enabled) {
+      firstFactors.add('password');
+      if (attribute('email_address').enabled) firstFactors.add('reset_password_email_code');
+      if (attribute('phone_number').enabled) firstFactors.add('reset_password_phone_code');
+    }
+    if (attribute('passkey').enabled) firstFactors.add('passkey');
+    this.socialProviders.forEach(strategy => firstFactors.add(strategy));
+    this.firstFactors = [...firstFactors];
+
+    const secondFactors = new Set();
+    Object.values(this.attributes).forEach(attr => {
+      if (attr.enabled && attr.used_for_second_factor) {
+        (attr.second_factors || []).forEach(strategy => secondFactors.add(strategy));
+      }
+    });
+    this.secondFactors = [...secondFactors];
+
+    // Strategies for verifying email addresses and phone numbers at sign-up
+    const verificationStrategies = new Set();
+    ['email_address', 'phone_number'].forEach(name => {
+      if (attribute(name).enabled) {
+        (attribute(name).verifications || []).forEach(strategy => verificationStrategies.add(strategy));
+      }
+    });
+    this.verificationStrategies = [...verificationStrategies];
+
+    const passwordSettings = userSettings.password_settings || {};
+    this.password = {
+      enabled: !!attribute('password').enabled,
+      required: !!attribute('password').required,
+      minLength: passwordSettings.min_length ?? null,
+      maxLength: passwordSettings.max_length ?? null,
+      requireSpecialChar: !!passwordSettings.require_special_char,
+      requireNumbers: !!passwordSettings.require_numbers,
+      requireUppercase: !!passwordSettings.require_uppercase,
+      requireLowercase: !!passwordSettings.require_lowercase
+    };
+
+    const signUp = userSettings.sign_up || {};
+    const enabledAttributes = ['email_address', 'phone_number', 'username', 'first_name', 'last_name', 'password', 'web3_wallet']
+      .filter(name => attribute(name).enabled);
+    this.signUp = {
+      mode: signUp.mode || 'public',
+      progressive: !!signUp.progressive,
+      legalConsentRequired: !!signUp.legal_consent_enabled,
+      requiredFields: enabledAttributes.filter(name => attribute(name).required),
+      optionalFields: enabledAttributes.filter(name => !attribute(name).required)
+    };
+
+    this.secondFactorRequired = !!userSettings.sign_in?.second_factor?.required;
+    this.organizationsEnabled = !!this.organizationSettings.enabled;
+  }
+
+  isIdentifierEnabled(identifier) {
+    return this.identifiers.includes(identifier);
+  }
+
+  isFirstFactorEnabled(strategy) {
+    return this.firstFactors.includes(strategy);
   }
 
-  // Check if user data is available
-  hasUser() {
-    return !!this.user;
+  isSecondFactorEnabled(strategy) {
+    return this.secondFactors.includes(strategy);
   }
+}
 
-  // Event system
-  addListener(event, callback) {
-    this.listeners.push({ event, callback });
-    return () => {
-      this.listeners = this.listeners.filter(l => l.callback !== callback);
+// =============================================================================
+// LOGGING
+// =============================================================================
+
+const LOG_LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
+
+// Values under these keys never reach a sink (uri and codes carry TOTP secrets and backup codes)
+const SECRET_KEY_PATTERN = /password|token|jwt|secret|nonce|backup_code|public_key_credential|authorization|cookie|signature|^uri$|^codes$/i;
+const PII_KEY_PATTERN = /email|phone|first_?name|last_?name|username|identifier|ip_address|city|country|user_agent|birthday|image_url/i;
+const JWT_PATTERN = /eyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/g;
+const OTPAUTH_PATTERN = /otpauth:\/\/\S+/gi;
+
+function redactString(value) {
+  return value
+    .replace(OTPAUTH_PATTERN, '[REDACTED_OTPAUTH_URI]')
+    .replace(JWT_PATTERN, '[REDACTED_JWT]')
+    .replace(EMAIL_PATTERN, '[REDACTED_EMAIL]');
+}
+
+function redactValue(value, key = '', depth = 0) {
+  if (value === null || value === undefined) return value;
+
+  if (SECRET_KEY_PATTERN.test(key) || PII_KEY_PATTERN.test(key)) {
+    return '[REDACTED]';
+  }
+  // Verification codes, but not error codes like form_password_incorrect
+  if (key === 'code' && typeof value === 'string' && !/^[a-z]+(_[a-z]+)+$/.test(value)) {
+    return '[REDACTED]';
+  }
+
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (depth >= 6) return '[Truncated]';
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message || ''),
+      ...(value.code && { code: value.code }),
+      ...(value.status !== undefined && { status: value.status })
     };
   }
 
-  emit(event, data) {
-    this.listeners
-      .filter(l => l.event === event)
-      .forEach(l => {
-        try {
-          l.callback(data);
-        } catch (error) {
-          console.error('Event listener error:', error);
-        }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, '', depth + 1));
+  }
+
+  if (value instanceof Date) return value;
+
+  const redacted = {};
+  Object.entries(value).forEach(([entryKey, entryValue]) => {
+    redacted[entryKey] = redactValue(entryValue, entryKey, depth + 1);
+  });
+  return redacted;
+}
+
+function consoleLogSink(entry) {
+  const method = entry.level === 'debug' ? 'log' : entry.level;
+  console[method](`[Clerk] ${entry.message}`, ...entry.args);
+}
+
+class ClerkLogger {
+  constructor(options = {}) {
+    this.setLevel(options.level || 'warn');
+    this.sinks = options.sinks || [consoleLogSink];
+  }
+
+  setLevel(level) {
+    if (!(level in LOG_LEVELS)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.level = level;
+  }
+
+  log(level, message, ...args) {
+    if (LOG_LEVELS[level] > LOG_LEVELS[this.level]) return;
+
+    const entry = {
+      level,
+      message: redactString(String(message)),
+      args: args.map(arg => redactValue(arg)),
+      timestamp: new Date()
+    };
+
+    this.sinks.forEach(sink => {
+      try {
+        sink(entry);
+      } catch {
+        // A failing sink must never break the SDK
+      }
+    });
+  }
+
+  error(message, ...args) {
+    this.log('error', message, ...args);
+  }
+
+  warn(message, ...args) {
+    this.log('warn', message, ...args);
+  }
+
+  info(message, ...args) {
+    this.log('info', message, ...args);
+  }
+
+  debug(message, ...args) {
+    this.log('debug', message, ...args);
+  }
+}
+
+// =============================================================================
+// STORAGE ADAPTERS
+// =============================================================================
+
+// Any object with get(key), set(key, value) and remove(key) can be passed as
+// options.storage; methods may return promises. Values are plain JSON data.
+
+class MemoryStorageAdapter {
+  constructor() {
+    this.store = new Map();
+  }
+
+  get(key) {
+    return this.store.has(key) ? JSON.parse(this.store.get(key)) : null;
+  }
+
+  set(key, value) {
+    this.store.set(key, JSON.stringify(value));
+  }
+
+  remove(key) {
+    this.store.delete(key);
+  }
+}
+
+// Wraps window.localStorage or window.sessionStorage
+class WebStorageAdapter {
+  constructor(webStorage) {
+    this.webStorage = webStorage;
+  }
+
+  get(key) {
+    return JSON.parse(this.webStorage.getItem(key));
+  }
+
+  set(key, value) {
+    this.webStorage.setItem(key, JSON.stringify(value));
+  }
+
+  remove(key) {
+    this.webStorage.removeItem(key);
+  }
+}
+
+class IndexedDBStorageAdapter {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'clerk';
+    this.storeName = options.storeName || 'keyval';
+    this.dbPromise = null;
+  }
+
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
       });
+    }
+    return this.dbPromise;
   }
 
-  // Debugging helpers
-  async debugSession() {
-    console.group('🔍 Session Debug Info');
-    console.log('Current Session:', this.session);
-    console.log('Current User:', this.user);
-    console.log('Current Organization:', this.organization);
-    
-    if (this.session) {
-      const validation = await this.validateSession();
-      console.log('Session Validation:', validation);
+  async _run(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async get(key) {
+    const value = await this._run('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  set(key, value) {
+    return this._run('readwrite', store => store.put(value, key));
+  }
+
+  remove(key) {
+    return this._run('readwrite', store => store.delete(key));
+  }
+}
+
+function getWebStorage(name) {
+  try {
+    return typeof window !== 'undefined' ? window[name] : undefined;
+  } catch {
+    // Accessing web storage throws in some sandboxed iframes
+    return undefined;
+  }
+}
+
+function resolveStorageAdapter(storage) {
+  if (storage && typeof storage === 'object') {
+    ['get', 'set', 'remove'].forEach(method => {
+      if (typeof storage[method] !== 'function') {
+        throw new Error(`options.storage must implement ${method}(key)`);
+      }
+    });
+    return storage;
+  }
+
+  switch (storage) {
+    case 'memory':
+      return new MemoryStorageAdapter();
+    case 'sessionStorage':
+    case 'localStorage': {
+      const webStorage = getWebStorage(storage);
+      if (!webStorage) throw new Error(`${storage} is not available in this environment`);
+      return new WebStorageAdapter(webStorage);
     }
-    
-    console.groupEnd();
+    case 'indexedDB':
+      if (typeof indexedDB === 'undefined') throw new Error('indexedDB is not available in this environment');
+      return new IndexedDBStorageAdapter();
+    case undefined:
+    case null: {
+      // Default: localStorage in browsers, memory in Node and web workers
+      const webStorage = getWebStorage('localStorage');
+      return webStorage ? new WebStorageAdapter(webStorage) : new MemoryStorageAdapter();
+    }
+    default:
+      throw new Error(`Unknown storage adapter: ${storage}`);
   }
+}
 
-  async debugClient() {
-    console.group('🔍 Client Debug Info');
-    
-    try {
-      const { data } = await this.apiCall('/client');
-      const client = data.response;
-      
-      console.log('Client ID:', client.id);
-      console.log('Total Sessions:', client.sessions.length);
-      console.log('Active Sessions:', client.sessions.filter(s => s.status === 'active').length);
-      console.log('Last Active Session ID:', client.last_active_session_id);
-      console.log('All Sessions:', client.sessions.map(s => ({
-        id: s.id,
-        status: s.status,
-        userEmail: s.user?.email_addresses?.[0]?.email_address,
-        expiresAt: new Date(s.expire_at).toLocaleString()
-      })));
-    } catch (error) {
-      console.error('Failed to get client debug info:', error);
+// =============================================================================
+// WEBAUTHN HELPERS
+// =============================================================================
+
+// Clerk sends and expects WebAuthn binary fields as base64url strings
+
+function base64UrlToBuffer(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64.padEnd(Math.ceil(base64.length / 4) * 4, '=');
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+function bufferToBase64Url(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function convertPasskeyCreationOptions(options) {
+  return {
+    ...options,
+    challenge: base64UrlToBuffer(options.challenge),
+    user: {
+      ...options.user,
+      id: base64UrlToBuffer(options.user.id)
+    },
+    excludeCredentials: (options.excludeCredentials || []).map(c => ({
+      ...c,
+      id: base64UrlToBuffer(c.id)
+    }))
+  };
+}
+
+function convertPasskeyRequestOptions(options) {
+  return {
+    ...options,
+    challenge: base64UrlToBuffer(options.challenge),
+    allowCredentials: (options.allowCredentials || []).map(c => ({
+      ...c,
+      id: base64UrlToBuffer(c.id)
+    }))
+  };
+}
+
+function serializePublicKeyCredential(credential) {
+  const { response } = credential;
+  const serialized = {
+    id: credential.id,
+    rawId: bufferToBase64Url(credential.rawId),
+    type: credential.type,
+    authenticatorAttachment: credential.authenticatorAttachment || null,
+    response: {
+      clientDataJSON: bufferToBase64Url(response.clientDataJSON)
     }
-    
-    console.groupEnd();
+  };
+
+  // Registration (attestation) response
+  if (response.attestationObject) {
+    serialized.response.attestationObject = bufferToBase64Url(response.attestationObject);
+    serialized.response.transports = typeof response.getTransports === 'function'
+      ? response.getTransports()
+      : [];
+  }
+
+  // Sign-in (assertion) response
+  if (response.authenticatorData) {
+    serialized.response.authenticatorData = bufferToBase64Url(response.authenticatorData);
+    serialized.response.signature = bufferToBase64Url(response.signature);
+    serialized.response.userHandle = response.userHandle
+      ? bufferToBase64Url(response.userHandle)
+      : null;
+  }
+
+  return serialized;
+}
+
+function passkeyError(sdk, error) {
+  if (error?.name === 'NotAllowedError' || error?.name === 'AbortError') {
+    return sdk.createError({ message: 'Passkey operation was cancelled or timed out' }, 0, 'passkey_cancelled');
+  }
+  if (error?.name === 'InvalidStateError') {
+    return sdk.createError({ message: 'This passkey is already registered' }, 0, 'passkey_already_exists');
   }
+  return sdk.createError({ message: error?.message || 'Passkey operation failed' }, 0, 'passkey_error');
 }
 
 // =============================================================================
@@ -994,6 +3414,7 @@ class SignInFlow {
   constructor(sdk) {
     this.sdk = sdk;
     this.signInAttempt = null;
+    this.resetPasswordStrategy = null;
   }
 
   async create(params) {
@@ -1009,7 +3430,7 @@ class SignInFlow {
       });
 
       this.signInAttempt = data.response;
-      console.log('✅ Sign-in created:', {
+      this.sdk.logger.debug('Sign-in created:', {
         id: this.signInAttempt.id,
         status: this.signInAttempt.status,
         supportedFactors: this.signInAttempt.supported_first_factors?.map(f => f.strategy)
@@ -1017,88 +3438,286 @@ class SignInFlow {
       
       return this.signInAttempt;
     } catch (error) {
-      console.error('❌ Failed to create sign-in:', error);
+      this.sdk.logger.error('Failed to create sign-in:', error);
+      throw error;
+    }
+  }
+
+  async prepareFirstFactor(params) {
+    if (!this.signInAttempt) {
+      throw new Error('Must create sign-in attempt first');
+    }
+
+    const { strategy, ...otherParams } = params;
+    this.sdk.assertStrategyEnabled('first_factor', strategy);
+    const body = new URLSearchParams({ strategy, ...otherParams });
+
+    try {
+      const { data } = await this.sdk.apiCall(
+        `/client/sign_ins/${this.signInAttempt.id}/prepare_first_factor`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body
+        }
+      );
+
+      this.signInAttempt = data.response;
+      this.sdk.logger.debug('First factor prepared:', strategy);
+      
+      return this.signInAttempt;
+    } catch (error) {
+      this.sdk.logger.error('Failed to prepare first factor:', error);
+      throw error;
+    }
+  }
+
+  async attemptFirstFactor(params) {
+    if (!this.signInAttempt) {
+      throw new Error('Must create sign-in attempt first');
+    }
+
+    const { strategy, ...otherParams } = params;
+    this.sdk.assertStrategyEnabled('first_factor', strategy);
+    const body = new URLSearchParams({ strategy, ...otherParams });
+
+    try {
+      const { data } = await this.sdk.apiCall(
+        `/client/sign_ins/${this.signInAttempt.id}/attempt_first_factor`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body
+        }
+      );
+
+      this.signInAttempt = data.response;
+      await this._handleAttemptResult(data);
+
+      return this.signInAttempt;
+    } catch (error) {
+      this.sdk.logger.error('Failed to attempt first factor:', error);
+      throw error;
+    }
+  }
+
+  async prepareSecondFactor(params) {
+    if (!this.signInAttempt) {
+      throw new Error('Must create sign-in attempt first');
+    }
+
+    const { strategy, ...otherParams } = params;
+    this.sdk.assertStrategyEnabled('second_factor', strategy);
+    const body = new URLSearchParams({ strategy, ...otherParams });
+
+    try {
+      const { data } = await this.sdk.apiCall(
+        `/client/sign_ins/${this.signInAttempt.id}/prepare_second_factor`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body
+        }
+      );
+
+      this.signInAttempt = data.response;
+      this.sdk.logger.debug('Second factor prepared:', strategy);
+      
+      return this.signInAttempt;
+    } catch (error) {
+      this.sdk.logger.error('Failed to prepare second factor:', error);
+      throw error;
+    }
+  }
+
+  async attemptSecondFactor(params) {
+    if (!this.signInAttempt) {
+      throw new Error('Must create sign-in attempt first');
+    }
+
+    if (this.signInAttempt.status !== 'needs_second_factor') {
+      throw new Error(`Sign-in is not waiting for a second factor (status: ${this.signInAttempt.status})`);
+    }
+
+    const { strategy, ...otherParams } = params;
+    this.sdk.assertStrategyEnabled('second_factor', strategy);
+    const body = new URLSearchParams({ strategy, ...otherParams });
+
+    try {
+      const { data } = await this.sdk.apiCall(
+        `/client/sign_ins/${this.signInAttempt.id}/attempt_second_factor`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body
+        }
+      );
+
+      this.signInAttempt = data.response;
+      await this._handleAttemptResult(data);
+
+      return this.signInAttempt;
+    } catch (error) {
+      this.sdk.logger.error('Failed to attempt second factor:', error);
       throw error;
     }
   }
 
-  async prepareFirstFactor(params) {
-    if (!this.signInAttempt) {
-      throw new Error('Must create sign-in attempt first');
-    }
+  // Sets the session once the attempt is complete, or reports a pending second factor
+  async _handleAttemptResult(data) {
+    if (this.signInAttempt.status === 'complete') {
+      const session = data.client?.sessions?.find(s => 
+        s.id === this.signInAttempt.created_session_id
+      );
+      if (session) {
+        await this.sdk.setSession(session);
+        this.sdk.logger.info('Authentication successful!');
+      }
+    } else if (this.signInAttempt.status === 'needs_second_factor') {
+      const strategies = this.supportedSecondFactors.map(f => f.strategy);
+      this.sdk.logger.debug('Second factor required:', strategies);
+      this.sdk.emit('signInNeedsSecondFactor', {
+        signIn: this.signInAttempt,
+        strategies
+      });
+    }
+  }
+
+  get needsSecondFactor() {
+    return this.signInAttempt?.status === 'needs_second_factor';
+  }
+
+  get supportedSecondFactors() {
+    return this.signInAttempt?.supported_second_factors || [];
+  }
 
-    const { strategy, ...otherParams } = params;
-    const body = new URLSearchParams({ strategy, ...otherParams });
+  // OAuth / social sign-in: redirects the browser to the provider
+  async authenticateWithRedirect(params) {
+    const { strategy, redirectUrl, redirectUrlComplete, identifier } = params;
+
+    if (!strategy || !strategy.startsWith('oauth_')) {
+      throw new Error('authenticateWithRedirect requires an oauth_* strategy');
+    }
+    if (!redirectUrl) {
+      throw new Error('redirectUrl is required');
+    }
+    this.sdk.assertStrategyEnabled('first_factor', strategy);
 
     try {
-      const { data } = await this.sdk.apiCall(
-        `/client/sign_ins/${this.signInAttempt.id}/prepare_first_factor`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          body
-        }
-      );
+      const { data } = await this.sdk.apiCall('/client/sign_ins', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+          strategy,
+          redirect_url: this.sdk._withRedirectCallbackParam(redirectUrl),
+          action_complete_redirect_url: redirectUrlComplete || redirectUrl,
+          ...(identifier && { identifier })
+        })
+      });
 
       this.signInAttempt = data.response;
-      console.log('✅ First factor prepared:', strategy);
-      
+
+      const externalUrl = this.signInAttempt.first_factor_verification?.external_verification_redirect_url;
+      if (!externalUrl) {
+        throw new Error(`No provider redirect URL returned for ${strategy}`);
+      }
+
+      await this.sdk._markRedirectPending('sign_in', redirectUrlComplete);
+      this.sdk.logger.debug('Redirecting to OAuth provider:', strategy);
+      window.location.assign(externalUrl);
+
       return this.signInAttempt;
     } catch (error) {
-      console.error('❌ Failed to prepare first factor:', error);
+      this.sdk.logger.error('Failed to start OAuth sign-in:', error);
       throw error;
     }
   }
 
-  async attemptFirstFactor(params) {
-    if (!this.signInAttempt) {
-      throw new Error('Must create sign-in attempt first');
-    }
+  // Passkey sign-in. Without an identifier this uses discoverable credentials;
+  // pass { autofill: true } to run it as conditional UI behind an autocomplete="webauthn" input
+  async authenticateWithPasskey(options = {}) {
+    const { identifier, autofill = false, signal } = options;
 
-    const { strategy, ...otherParams } = params;
-    const body = new URLSearchParams({ strategy, ...otherParams });
+    this.sdk.assertStrategyEnabled('first_factor', 'passkey');
+    if (!this.sdk.isPasskeySupported()) {
+      throw this.sdk.createError({ message: 'Passkeys are not supported in this browser' }, 0, 'passkey_not_supported');
+    }
+    if (autofill && !(await this.sdk.isPasskeyAutofillSupported())) {
+      throw this.sdk.createError({ message: 'Passkey autofill is not supported in this browser' }, 0, 'passkey_not_supported');
+    }
 
     try {
-      const { data } = await this.sdk.apiCall(
-        `/client/sign_ins/${this.signInAttempt.id}/attempt_first_factor`,
-        {
+      if (identifier) {
+        await this.create({ identifier });
+
+        const passkeyFactor = this.signInAttempt.supported_first_factors?.find(
+          f => f.strategy === 'passkey'
+        );
+        if (!passkeyFactor) {
+          throw new Error('Passkey authentication not supported for this user');
+        }
+
+        await this.prepareFirstFactor({ strategy: 'passkey' });
+      } else {
+        const { data } = await this.sdk.apiCall('/client/sign_ins', {
           method: 'POST',
           headers: {
             'Content-Type': 'application/x-www-form-urlencoded'
           },
-          body
-        }
-      );
+          body: new URLSearchParams({ strategy: 'passkey' })
+        });
+        this.signInAttempt = data.response;
+      }
 
-      this.signInAttempt = data.response;
+      const nonce = this.signInAttempt.first_factor_verification?.nonce;
+      if (!nonce) {
+        throw new Error('No passkey challenge returned');
+      }
 
-      // If sign-in is complete, set the session
-      if (this.signInAttempt.status === 'complete') {
-        const session = data.client.sessions.find(s => 
-          s.id === this.signInAttempt.created_session_id
-        );
-        if (session) {
-          this.sdk.setSession(session);
-          console.log('🎉 Authentication successful!');
-        }
+      let credential;
+      try {
+        credential = await navigator.credentials.get({
+          publicKey: convertPasskeyRequestOptions(JSON.parse(nonce)),
+          ...(autofill && { mediation: 'conditional' }),
+          ...(signal && { signal })
+        });
+      } catch (error) {
+        throw passkeyError(this.sdk, error);
       }
 
-      return this.signInAttempt;
+      if (!credential) {
+        throw this.sdk.createError({ message: 'No passkey was selected' }, 0, 'passkey_cancelled');
+      }
+
+      return this.attemptFirstFactor({
+        strategy: 'passkey',
+        public_key_credential: JSON.stringify(serializePublicKeyCredential(credential))
+      });
     } catch (error) {
-      console.error('❌ Failed to attempt first factor:', error);
+      this.sdk.logger.error('Passkey sign-in failed:', error);
       throw error;
     }
   }
 
   // Convenience methods for common flows
   async authenticateWithPassword(identifier, password) {
+    this.sdk.assertStrategyEnabled('first_factor', 'password');
     await this.create({ identifier });
     return this.attemptFirstFactor({ strategy: 'password', password });
   }
 
   async authenticateWithEmailCode(identifier) {
+    this.sdk.assertStrategyEnabled('first_factor', 'email_code');
     await this.create({ identifier });
     
     // Find email code factor
@@ -1127,7 +3746,72 @@ class SignInFlow {
     return this.attemptFirstFactor({ strategy: 'email_code', code });
   }
 
+  // Sends a magic link and polls until it is clicked; returns { promise, cancel }
+  async startEmailLinkFlow(params) {
+    if (!this.signInAttempt) {
+      throw new Error('Must create sign-in attempt first');
+    }
+
+    const { redirectUrl } = params;
+    if (!redirectUrl) {
+      throw new Error('redirectUrl is required');
+    }
+
+    // Find email link factor
+    const emailLinkFactor = this.signInAttempt.supported_first_factors?.find(
+      f => f.strategy === 'email_link'
+    );
+    
+    if (!emailLinkFactor) {
+      throw new Error('Email link authentication not supported for this user');
+    }
+    
+    await this.prepareFirstFactor({
+      strategy: 'email_link',
+      email_address_id: emailLinkFactor.email_address_id,
+      redirect_url: redirectUrl
+    });
+
+    const poller = this.sdk._pollAttempt(
+      `/client/sign_ins/${this.signInAttempt.id}`,
+      attempt => ['verified', 'expired', 'failed'].includes(attempt.first_factor_verification?.status)
+    );
+
+    const promise = poller.promise.then(async data => {
+      if (!data) return null;
+
+      this.signInAttempt = data.response;
+      const verificationStatus = this.signInAttempt.first_factor_verification.status;
+
+      if (verificationStatus !== 'verified') {
+        throw this.sdk.createError(
+          { message: `Email link ${verificationStatus}` },
+          0,
+          `email_link_${verificationStatus}`
+        );
+      }
+
+      if (this.signInAttempt.status === 'complete') {
+        await this.sdk._activateCreatedSession(this.signInAttempt.created_session_id, data.client);
+        this.sdk.logger.info('Authentication successful!');
+      } else {
+        await this._handleAttemptResult(data);
+      }
+
+      return this.signInAttempt;
+    });
+
+    return { promise, cancel: poller.cancel };
+  }
+
+  async authenticateWithEmailLink(identifier, options) {
+    this.sdk.assertStrategyEnabled('first_factor', 'email_link');
+    await this.create({ identifier });
+    return this.startEmailLinkFlow(options);
+  }
+
   async authenticateWithPhoneCode(identifier) {
+    this.sdk.assertStrategyEnabled('first_factor', 'phone_code');
     await this.create({ identifier });
     
     // Find phone code factor
@@ -1154,6 +3838,113 @@ class SignInFlow {
     
     return this.attemptFirstFactor({ strategy: 'phone_code', code });
   }
+
+  // Forgot-password flow: startPasswordReset -> attemptPasswordResetCode -> resetPassword
+  async startPasswordReset(identifier, options = {}) {
+    if (options.strategy) {
+      this.sdk.assertStrategyEnabled('first_factor', options.strategy);
+    } else if (this.sdk.userSettings?.available && !this.sdk.userSettings.password.enabled) {
+      throw this.sdk.createError(
+        { message: 'Passwords are not enabled for this instance' },
+        0,
+        'strategy_not_enabled'
+      );
+    }
+    await this.create({ identifier });
+
+    const factors = this.signInAttempt.supported_first_factors || [];
+    const resetFactor = options.strategy
+      ? factors.find(f => f.strategy === options.strategy)
+      : factors.find(f => f.strategy === 'reset_password_email_code') ||
+        factors.find(f => f.strategy === 'reset_password_phone_code');
+
+    if (!resetFactor) {
+      throw new Error('Password reset is not available for this account');
+    }
+
+    this.resetPasswordStrategy = resetFactor.strategy;
+
+    return this.prepareFirstFactor({
+      strategy: resetFactor.strategy,
+      ...(resetFactor.email_address_id && { email_address_id: resetFactor.email_address_id }),
+      ...(resetFactor.phone_number_id && { phone_number_id: resetFactor.phone_number_id })
+    });
+  }
+
+  async attemptPasswordResetCode(code) {
+    if (!this.resetPasswordStrategy) {
+      throw new Error('Must start password reset first');
+    }
+
+    // On success the attempt moves to needs_new_password
+    return this.attemptFirstFactor({ strategy: this.resetPasswordStrategy, code });
+  }
+
+  async resetPassword(params) {
+    if (!this.signInAttempt || this.signInAttempt.status !== 'needs_new_password') {
+      throw new Error('Must verify the password reset code first');
+    }
+
+    const { password, signOutOfOtherSessions = true } = params;
+
+    try {
+      const { data } = await this.sdk.apiCall(
+        `/client/sign_ins/${this.signInAttempt.id}/reset_password`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body: new URLSearchParams({
+            password,
+            sign_out_of_other_sessions: String(signOutOfOtherSessions)
+          })
+        }
+      );
+
+      this.signInAttempt = data.response;
+      this.resetPasswordStrategy = null;
+      await this._handleAttemptResult(data);
+
+      return this.signInAttempt;
+    } catch (error) {
+      this.sdk.logger.error('Failed to reset password:', error);
+      throw this.sdk.explainPasswordError(error);
+    }
+  }
+
+  // Convenience methods for second factor (MFA) verification
+  async submitTOTPCode(code) {
+    return this.attemptSecondFactor({ strategy: 'totp', code });
+  }
+
+  async prepareSecondFactorPhoneCode() {
+    // Find phone code second factor
+    const phoneFactor = this.supportedSecondFactors.find(
+      f => f.strategy === 'phone_code'
+    );
+    
+    if (!phoneFactor) {
+      throw new Error('Phone code second factor not enabled for this user');
+    }
+    
+    return this.prepareSecondFactor({
+      strategy: 'phone_code',
+      phone_number_id: phoneFactor.phone_number_id
+    });
+  }
+
+  async submitSecondFactorPhoneCode(code) {
+    if (!this.signInAttempt || !this.signInAttempt.second_factor_verification) {
+      throw new Error('Must prepare phone code second factor first');
+    }
+    
+    return this.attemptSecondFactor({ strategy: 'phone_code', code });
+  }
+
+  async submitBackupCode(code) {
+    return this.attemptSecondFactor({ strategy: 'backup_code', code });
+  }
 }
 
 // =============================================================================
@@ -1167,34 +3958,127 @@ class SignUpFlow {
   }
 
   async create(params) {
+    this.sdk.assertSignUpParamsAllowed(params);
+
     try {
       const { data } = await this.sdk.apiCall('/client/sign_ups', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
         },
-        body: new URLSearchParams(params)
+        body: toFormBody(params)
       });
 
       this.signUpAttempt = data.response;
-      console.log('✅ Sign-up created:', {
+      this.sdk.logger.debug('Sign-up created:', {
         id: this.signUpAttempt.id,
-        status: this.signUpAttempt.status
+        status: this.signUpAttempt.status,
+        missingFields: this.signUpAttempt.missing_fields,
+        unverifiedFields: this.signUpAttempt.unverified_fields
       });
       
+      await this._activateIfComplete(data);
+      return this.signUpAttempt;
+    } catch (error) {
+      this.sdk.logger.error('Failed to create sign-up:', error);
+      throw error;
+    }
+  }
+
+  // Adds or changes fields on the attempt, e.g. the ones listed in missing_fields
+  async update(params) {
+    if (!this.signUpAttempt) {
+      throw new Error('Must create sign-up attempt first');
+    }
+
+    this.sdk.assertSignUpParamsAllowed(params);
+
+    try {
+      const { data } = await this.sdk.apiCall(`/client/sign_ups/${this.signUpAttempt.id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: toFormBody(params)
+      });
+
+      this.signUpAttempt = data.response;
+      this.sdk.logger.debug('Sign-up updated:', {
+        status: this.signUpAttempt.status,
+        missingFields: this.signUpAttempt.missing_fields,
+        unverifiedFields: this.signUpAttempt.unverified_fields
+      });
+
+      await this._activateIfComplete(data);
       return this.signUpAttempt;
     } catch (error) {
-      console.error('❌ Failed to create sign-up:', error);
+      this.sdk.logger.error('Failed to update sign-up:', error);
       throw error;
     }
   }
 
+  // If sign-up is complete, set the session
+  async _activateIfComplete(data) {
+    if (this.signUpAttempt.status !== 'complete') return;
+
+    const session = await this.sdk._activateCreatedSession(
+      this.signUpAttempt.created_session_id,
+      data.client
+    );
+    if (session) {
+      this.sdk.logger.info('Sign-up successful!');
+    }
+  }
+
+  // What the UI should collect next, until the status becomes complete:
+  //   { type: 'create' }                          - no attempt yet
+  //   { type: 'field', field, fields }           - collect a missing field, then update()
+  //   { type: 'verification', field, strategy, action: 'prepare' | 'attempt' }
+  //   { type: 'complete' } / { type: 'abandoned' }
+  //   { type: 'unknown', status }                 - nothing to collect but not complete (e.g. a
+  //                                                 status this SDK does not know); show an error
+  get nextStep() {
+    const attempt = this.signUpAttempt;
+    if (!attempt) return { type: 'create' };
+    if (attempt.status === 'complete') return { type: 'complete' };
+    if (attempt.status === 'abandoned') return { type: 'abandoned' };
+
+    const missingFields = attempt.missing_fields || [];
+    if (missingFields.length > 0) {
+      return { type: 'field', field: missingFields[0], fields: missingFields };
+    }
+
+    const unverifiedField = ['email_address', 'phone_number']
+      .find(field => (attempt.unverified_fields || []).includes(field));
+    if (unverifiedField) {
+      const verification = attempt.verifications?.[unverifiedField] || {};
+      const defaultStrategy = unverifiedField === 'email_address' ? 'email_code' : 'phone_code';
+      return {
+        type: 'verification',
+        field: unverifiedField,
+        strategy: verification.strategy || verification.supported_strategies?.[0] || defaultStrategy,
+        action: verification.next_action === 'needs_attempt' ? 'attempt' : 'prepare'
+      };
+    }
+
+    return { type: 'unknown', status: attempt.status };
+  }
+
+  get missingFields() {
+    return this.signUpAttempt?.missing_fields || [];
+  }
+
+  get unverifiedFields() {
+    return this.signUpAttempt?.unverified_fields || [];
+  }
+
   async prepareVerification(params) {
     if (!this.signUpAttempt) {
       throw new Error('Must create sign-up attempt first');
     }
 
     const { strategy, ...otherParams } = params;
+    this.sdk.assertStrategyEnabled('verification', strategy);
     const body = new URLSearchParams({ strategy, ...otherParams });
 
     try {
@@ -1210,11 +4094,11 @@ class SignUpFlow {
       );
 
       this.signUpAttempt = data.response;
-      console.log('✅ Verification prepared:', strategy);
+      this.sdk.logger.debug('Verification prepared:', strategy);
       
       return this.signUpAttempt;
     } catch (error) {
-      console.error('❌ Failed to prepare verification:', error);
+      this.sdk.logger.error('Failed to prepare verification:', error);
       throw error;
     }
   }
@@ -1240,34 +4124,71 @@ class SignUpFlow {
       );
 
       this.signUpAttempt = data.response;
+      await this._activateIfComplete(data);
 
-      // If sign-up is complete, set the session
-      if (this.signUpAttempt.status === 'complete') {
-        const session = data.client.sessions.find(s => 
-          s.id === this.signUpAttempt.created_session_id
-        );
-        if (session) {
-          this.sdk.setSession(session);
-          console.log('🎉 Sign-up successful!');
-        }
+      return this.signUpAttempt;
+    } catch (error) {
+      this.sdk.logger.error('Failed to attempt verification:', error);
+      throw error;
+    }
+  }
+
+  // OAuth / social sign-up: redirects the browser to the provider
+  async authenticateWithRedirect(params) {
+    const { strategy, redirectUrl, redirectUrlComplete, ...otherParams } = params;
+
+    if (!strategy || !strategy.startsWith('oauth_')) {
+      throw new Error('authenticateWithRedirect requires an oauth_* strategy');
+    }
+    if (!redirectUrl) {
+      throw new Error('redirectUrl is required');
+    }
+    this.sdk.assertStrategyEnabled('first_factor', strategy);
+
+    try {
+      const { data } = await this.sdk.apiCall('/client/sign_ups', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+          strategy,
+          redirect_url: this.sdk._withRedirectCallbackParam(redirectUrl),
+          action_complete_redirect_url: redirectUrlComplete || redirectUrl,
+          ...otherParams
+        })
+      });
+
+      this.signUpAttempt = data.response;
+
+      const externalUrl = this.signUpAttempt.verifications?.external_account?.external_verification_redirect_url;
+      if (!externalUrl) {
+        throw new Error(`No provider redirect URL returned for ${strategy}`);
       }
 
+      await this.sdk._markRedirectPending('sign_up', redirectUrlComplete);
+      this.sdk.logger.debug('Redirecting to OAuth provider:', strategy);
+      window.location.assign(externalUrl);
+
       return this.signUpAttempt;
     } catch (error) {
-      console.error('❌ Failed to attempt verification:', error);
+      this.sdk.logger.error('Failed to start OAuth sign-up:', error);
       throw error;
     }
   }
 
   // Convenience method for email sign-up
   async signUpWithEmail(emailAddress, password, options = {}) {
-    const { firstName, lastName } = options;
+    const { firstName, lastName, username, phoneNumber, legalAccepted } = options;
     
     const params = {
       email_address: emailAddress,
       password,
       ...(firstName && { first_name: firstName }),
-      ...(lastName && { last_name: lastName })
+      ...(lastName && { last_name: lastName }),
+      ...(username && { username }),
+      ...(phoneNumber && { phone_number: phoneNumber }),
+      ...(legalAccepted !== undefined && { legal_accepted: legalAccepted })
     };
     
     await this.create(params);
@@ -1279,6 +4200,27 @@ class SignUpFlow {
     return this.signUpAttempt;
   }
 
+  async setUsername(username) {
+    return this.update({ username });
+  }
+
+  // Required when the instance has legal consent enabled
+  async acceptLegal() {
+    return this.update({ legal_accepted: true });
+  }
+
+  async preparePhoneVerification() {
+    return this.prepareVerification({ strategy: 'phone_code' });
+  }
+
+  async verifyPhone(code) {
+    if (!this.signUpAttempt) {
+      throw new Error('Must create sign-up attempt first');
+    }
+    
+    return this.attemptVerification({ strategy: 'phone_code', code });
+  }
+
   async verifyEmail(code) {
     if (!this.signUpAttempt) {
       throw new Error('Must create sign-up attempt first');
@@ -1286,6 +4228,62 @@ class SignUpFlow {
     
     return this.attemptVerification({ strategy: 'email_code', code });
   }
+
+  // Sends a verification link and polls until it is clicked; returns { promise, cancel }
+  async startEmailLinkFlow(params) {
+    if (!this.signUpAttempt) {
+      throw new Error('Must create sign-up attempt first');
+    }
+
+    const { redirectUrl } = params;
+    if (!redirectUrl) {
+      throw new Error('redirectUrl is required');
+    }
+
+    await this.prepareVerification({ strategy: 'email_link', redirect_url: redirectUrl });
+
+    const poller = this.sdk._pollAttempt(
+      `/client/sign_ups/${this.signUpAttempt.id}`,
+      attempt => ['verified', 'expired', 'failed'].includes(attempt.verifications?.email_address?.status)
+    );
+
+    const promise = poller.promise.then(async data => {
+      if (!data) return null;
+
+      this.signUpAttempt = data.response;
+      const verificationStatus = this.signUpAttempt.verifications.email_address.status;
+
+      if (verificationStatus !== 'verified') {
+        throw this.sdk.createError(
+          { message: `Email link ${verificationStatus}` },
+          0,
+          `email_link_${verificationStatus}`
+        );
+      }
+
+      if (this.signUpAttempt.status === 'complete') {
+        await this.sdk._activateCreatedSession(this.signUpAttempt.created_session_id, data.client);
+        this.sdk.logger.info('Sign-up successful!');
+      }
+
+      return this.signUpAttempt;
+    });
+
+    return { promise, cancel: poller.cancel };
+  }
+
+  async signUpWithEmailLink(emailAddress, options = {}) {
+    const { password, firstName, lastName, redirectUrl } = options;
+
+    await this.create({
+      email_address: emailAddress,
+      ...(password && { password }),
+      ...(firstName && { first_name: firstName }),
+      ...(lastName && { last_name: lastName })
+    });
+
+    return this.startEmailLinkFlow({ redirectUrl });
+  }
 }
 
 // =============================================================================
@@ -1293,6 +4291,20 @@ class SignUpFlow {
 // =============================================================================
 
 // Make it available globally or for module systems
+ClerkSDK.ClerkError = ClerkError;
+ClerkSDK.ClerkAPIError = ClerkAPIError;
+ClerkSDK.ClerkNetworkError = ClerkNetworkError;
+ClerkSDK.ClerkRuntimeError = ClerkRuntimeError;
+ClerkSDK.ClerkErrorCodes = ClerkErrorCodes;
+ClerkSDK.isClerkAPIResponseError = isClerkAPIResponseError;
+ClerkSDK.SignInFlow = SignInFlow;
+ClerkSDK.SignUpFlow = SignUpFlow;
+ClerkSDK.UserSettings = UserSettings;
+ClerkSDK.ClerkLogger = ClerkLogger;
+ClerkSDK.MemoryStorageAdapter = MemoryStorageAdapter;
+ClerkSDK.WebStorageAdapter = WebStorageAdapter;
+ClerkSDK.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ClerkSDK;
 } else if (typeof window !== 'undefined') {
@@ -0,0 +1,244 @@
+/**
+ * Clerk Server Utilities
+ * Session token verification for Node backends (WebCrypto, no dependencies)
+ * Version: 1.0.0
+ */
+
+const { subtle } = globalThis.crypto || require('crypto').webcrypto;
+
+const RS256 = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+const JWKS_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+// Minimum gap between forced refetches, so tokens with made-up kids cannot make us hammer the JWKS URL
+const JWKS_REFETCH_COOLDOWN = 5 * 60 * 1000; // 5 minutes
+
+// JWKS responses keyed by URL: { keys, fetchedAt }
+const jwksCache = new Map();
+
+/**
+ * @typedef {Object} SessionClaims
+ * @property {string} sub - User ID
+ * @property {string} sid - Session ID
+ * @property {string} iss - Frontend API URL of the instance
+ * @property {number} exp - Expiry (seconds since epoch)
+ * @property {number} iat - Issued at (seconds since epoch)
+ * @property {number} nbf - Not before (seconds since epoch)
+ * @property {string} [azp] - Origin the token was issued to
+ * @property {string} [org_id] - Active organization ID
+ * @property {string} [org_role] - Role in the active organization
+ * @property {string} [org_slug] - Slug of the active organization
+ */
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+class TokenVerificationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TokenVerificationError';
+    this.code = code;
+  }
+}
+
+const TokenVerificationErrorCode = {
+  TOKEN_INVALID: 'token_invalid',
+  TOKEN_EXPIRED: 'token_expired',
+  TOKEN_NOT_ACTIVE_YET: 'token_not_active_yet',
+  TOKEN_IAT_IN_FUTURE: 'token_iat_in_future',
+  TOKEN_INVALID_ALGORITHM: 'token_invalid_algorithm',
+  TOKEN_INVALID_SIGNATURE: 'token_invalid_signature',
+  TOKEN_INVALID_AUTHORIZED_PARTY: 'token_invalid_authorized_party',
+  JWK_KID_MISMATCH: 'jwk_kid_mismatch',
+  JWK_FAILED_TO_LOAD: 'jwk_failed_to_load',
+  JWK_INVALID: 'jwk_invalid'
+};
+
+// =============================================================================
+// DECODING
+// =============================================================================
+
+function base64UrlDecode(value) {
+  return Buffer.from(value, 'base64url');
+}
+
+function decodeJWT(token) {
+  if (typeof token !== 'string') {
+    throw new TokenVerificationError(TokenVerificationErrorCode.TOKEN_INVALID, 'Token must be a string');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new TokenVerificationError(TokenVerificationErrorCode.TOKEN_INVALID, 'Token must have three parts');
+  }
+
+  try {
+    return {
+      header: JSON.parse(base64UrlDecode(parts[0]).toString('utf8')),
+      payload: JSON.parse(base64UrlDecode(parts[1]).toString('utf8')),
+      signature: base64UrlDecode(parts[2]),
+      signedData: Buffer.from(`${parts[0]}.${parts[1]}`)
+    };
+  } catch {
+    throw new TokenVerificationError(TokenVerificationErrorCode.TOKEN_INVALID, 'Token is not valid JSON');
+  }
+}
+
+// =============================================================================
+// KEY LOADING
+// =============================================================================
+
+async function importPemKey(pem) {
+  const body = pem
+    .replace(/-----BEGIN PUBLIC KEY-----/, '')
+    .replace(/-----END PUBLIC KEY-----/, '')
+    .replace(/\s+/g, '');
+
+  try {
+    return await subtle.importKey('spki', Buffer.from(body, 'base64'), RS256, false, ['verify']);
+  } catch (error) {
+    throw new TokenVerificationError(TokenVerificationErrorCode.JWK_INVALID, `Invalid PEM public key: ${error.message}`);
+  }
+}
+
+async function importJwk(jwk) {
+  try {
+    return await subtle.importKey('jwk', jwk, RS256, false, ['verify']);
+  } catch (error) {
+    throw new TokenVerificationError(TokenVerificationErrorCode.JWK_INVALID, `Invalid JWK: ${error.message}`);
+  }
+}
+
+async function loadJwks(url, options = {}) {
+  const { fetch: fetchImpl = globalThis.fetch, forceRefresh = false } = options;
+  const cached = jwksCache.get(url);
+  const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+
+  if (age < (forceRefresh ? JWKS_REFETCH_COOLDOWN : JWKS_CACHE_TTL)) {
+    return cached.keys;
+  }
+
+  try {
+    const response = await fetchImpl(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const { keys } = await response.json();
+    jwksCache.set(url, { keys: keys || [], fetchedAt: Date.now() });
+    return keys || [];
+  } catch (error) {
+    throw new TokenVerificationError(
+      TokenVerificationErrorCode.JWK_FAILED_TO_LOAD,
+      `Failed to load JWKS from ${url}: ${error.message}`
+    );
+  }
+}
+
+// Resolves the verification key: a PEM jwtKey (offline), a JWKS object, or a JWKS URL
+async function resolveKey(kid, options) {
+  const { jwtKey, jwks } = options;
+
+  if (jwtKey) {
+    return importPemKey(jwtKey);
+  }
+
+  if (!jwks) {
+    throw new TokenVerificationError(TokenVerificationErrorCode.JWK_INVALID, 'Either jwtKey or jwks is required');
+  }
+
+  if (typeof jwks === 'object') {
+    const jwk = (jwks.keys || []).find(k => k.kid === kid);
+    if (!jwk) {
+      throw new TokenVerificationError(TokenVerificationErrorCode.JWK_KID_MISMATCH, `No JWK found for kid ${kid}`);
+    }
+    return importJwk(jwk);
+  }
+
+  let keys = await loadJwks(jwks, options);
+  let jwk = keys.find(k => k.kid === kid);
+
+  // Keys rotate: refetch once before giving up on an unknown kid (at most every few minutes)
+  if (!jwk) {
+    keys = await loadJwks(jwks, { ...options, forceRefresh: true });
+    jwk = keys.find(k => k.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new TokenVerificationError(TokenVerificationErrorCode.JWK_KID_MISMATCH, `No JWK found for kid ${kid}`);
+  }
+  return importJwk(jwk);
+}
+
+// =============================================================================
+// VERIFICATION
+// =============================================================================
+
+/**
+ * Verifies a Clerk session token and returns its claims.
+ *
+ * @param {string} token - The session JWT (e.g. from the Authorization header)
+ * @param {Object} options
+ * @param {string} [options.jwtKey] - PEM public key from the Clerk dashboard; verifies fully offline
+ * @param {string|Object} [options.jwks] - JWKS URL (cached for an hour) or a JWKS object
+ * @param {string[]} [options.authorizedParties] - Allowed values of the azp claim
+ * @param {number} [options.clockSkew=5000] - Allowed clock skew in milliseconds
+ * @param {Function} [options.fetch] - fetch implementation used to load a JWKS URL
+ * @returns {Promise<SessionClaims>}
+ * @throws {TokenVerificationError}
+ */
+async function verifyToken(token, options = {}) {
+  const { authorizedParties, clockSkew = 5000 } = options;
+  const { header, payload, signature, signedData } = decodeJWT(token);
+
+  if (header.alg !== 'RS256') {
+    throw new TokenVerificationError(
+      TokenVerificationErrorCode.TOKEN_INVALID_ALGORITHM,
+      `Unsupported algorithm ${header.alg}, expected RS256`
+    );
+  }
+
+  const key = await resolveKey(header.kid, options);
+  const isValid = await subtle.verify(RS256, key, signature, signedData);
+  if (!isValid) {
+    throw new TokenVerificationError(TokenVerificationErrorCode.TOKEN_INVALID_SIGNATURE, 'Token signature is invalid');
+  }
+
+  const now = Date.now();
+
+  if (typeof payload.exp !== 'number' || payload.exp * 1000 <= now - clockSkew) {
+    throw new TokenVerificationError(TokenVerificationErrorCode.TOKEN_EXPIRED, 'Token has expired');
+  }
+
+  if (typeof payload.nbf === 'number' && payload.nbf * 1000 > now + clockSkew) {
+    throw new TokenVerificationError(TokenVerificationErrorCode.TOKEN_NOT_ACTIVE_YET, 'Token is not active yet');
+  }
+
+  if (typeof payload.iat === 'number' && payload.iat * 1000 > now + clockSkew) {
+    throw new TokenVerificationError(TokenVerificationErrorCode.TOKEN_IAT_IN_FUTURE, 'Token was issued in the future');
+  }
+
+  if (authorizedParties && authorizedParties.length > 0 && payload.azp && !authorizedParties.includes(payload.azp)) {
+    throw new TokenVerificationError(
+      TokenVerificationErrorCode.TOKEN_INVALID_AUTHORIZED_PARTY,
+      `Token was issued to unauthorized party ${payload.azp}`
+    );
+  }
+
+  return payload;
+}
+
+function clearJwksCache() {
+  jwksCache.clear();
+}
+
+// =============================================================================
+// EXPORT FOR USE
+// =============================================================================
+
+module.exports = {
+  verifyToken,
+  decodeJWT,
+  clearJwksCache,
+  TokenVerificationError,
+  TokenVerificationErrorCode
+};
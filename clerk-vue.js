@@ -0,0 +1,149 @@
+/**
+ * Clerk Vue Bindings
+ * Plugin, composables and control components on top of ClerkSDK (Vue 3)
+ * Version: 1.0.0
+ */
+
+const { computed, defineComponent, inject, shallowRef } = require('vue');
+const ClerkSDK = require('./clerk-sdk.js');
+
+const ClerkInjectionKey = Symbol('clerk');
+
+// =============================================================================
+// PLUGIN
+// =============================================================================
+
+/**
+ * app.use(clerkPlugin, { clerk }) or app.use(clerkPlugin, { options }).
+ * Provides the instance to the composables below, exposes it as this.$clerk and loads it once.
+ */
+const clerkPlugin = {
+  install(app, pluginOptions = {}) {
+    const clerk = pluginOptions.clerk || new ClerkSDK(pluginOptions.options);
+
+    // Snapshots are frozen and replaced on every change, so a shallow ref is enough
+    const state = shallowRef(clerk.getSnapshot());
+    clerk.subscribe(snapshot => {
+      state.value = snapshot;
+    });
+
+    app.provide(ClerkInjectionKey, { clerk, state });
+    app.config.globalProperties.$clerk = clerk;
+
+    if (!clerk.isLoaded) {
+      // load() logs the failure and emits 'error'; listen there to surface it
+      clerk.load().catch(() => {});
+    }
+  }
+};
+
+// =============================================================================
+// COMPOSABLES
+// =============================================================================
+
+function useClerkContext() {
+  const context = inject(ClerkInjectionKey, null);
+  if (!context) {
+    throw new Error('Clerk composables require app.use(clerkPlugin)');
+  }
+  return context;
+}
+
+function useClerk() {
+  return useClerkContext().clerk;
+}
+
+function useAuth() {
+  const { clerk, state } = useClerkContext();
+
+  return {
+    isLoaded: computed(() => state.value.isLoaded),
+    isSignedIn: computed(() => state.value.isSignedIn),
+    userId: computed(() => state.value.userId),
+    sessionId: computed(() => state.value.sessionId),
+    orgId: computed(() => state.value.orgId),
+    orgRole: computed(() => state.value.orgRole),
+    getToken: options => clerk.getToken(options),
+    signOut: options => clerk.signOut(options)
+  };
+}
+
+function useUser() {
+  const { state } = useClerkContext();
+
+  return {
+    isLoaded: computed(() => state.value.isLoaded),
+    isSignedIn: computed(() => state.value.isSignedIn),
+    user: computed(() => state.value.user)
+  };
+}
+
+function useOrganization() {
+  const { clerk, state } = useClerkContext();
+
+  return {
+    isLoaded: computed(() => state.value.isLoaded),
+    organization: computed(() => state.value.organization),
+    membership: computed(() => (state.value.organization ? { role: state.value.orgRole } : null)),
+    setActive: organizationId => clerk.setActiveOrganization(organizationId)
+  };
+}
+
+// Each component gets its own SignInFlow, kept for the lifetime of the component
+function useSignIn() {
+  const { clerk, state } = useClerkContext();
+
+  return {
+    isLoaded: computed(() => state.value.isLoaded),
+    signIn: clerk.signIn(),
+    setActive: params => clerk.setActive(params)
+  };
+}
+
+function useSignUp() {
+  const { clerk, state } = useClerkContext();
+
+  return {
+    isLoaded: computed(() => state.value.isLoaded),
+    signUp: clerk.signUp(),
+    setActive: params => clerk.setActive(params)
+  };
+}
+
+// =============================================================================
+// CONTROL COMPONENTS
+// =============================================================================
+
+// Both render nothing until the SDK has loaded
+const SignedIn = defineComponent({
+  name: 'SignedIn',
+  setup(props, { slots }) {
+    const { state } = useClerkContext();
+    return () => (state.value.isLoaded && state.value.isSignedIn ? slots.default?.() : null);
+  }
+});
+
+const SignedOut = defineComponent({
+  name: 'SignedOut',
+  setup(props, { slots }) {
+    const { state } = useClerkContext();
+    return () => (state.value.isLoaded && !state.value.isSignedIn ? slots.default?.() : null);
+  }
+});
+
+// =============================================================================
+// EXPORT FOR USE
+// =============================================================================
+
+module.exports = {
+  clerkPlugin,
+  ClerkInjectionKey,
+  useClerk,
+  useAuth,
+  useUser,
+  useOrganization,
+  useSignIn,
+  useSignUp,
+  SignedIn,
+  SignedOut
+};